@@ -803,6 +803,7 @@ const tablesData = [
   // Table 19
   {
     "dependentVariable": "Wealth_at_end",
+    "meta": { "spec": "iv", "stage": "first", "ui": "avg_ui_log", "sample": { "(1)": "lottery_scp", "(2)": "whole" } },
     "data": [
       { "variable": "Duration_UI_before", "(1)": "-0.028***", "(2)": "-0.014***" },
       { "variable": "", "(1)": "(0.010)", "(2)": "(0.005)" },
@@ -852,6 +853,7 @@ const tablesData = [
   // Table 20
   {
     "dependentVariable": "Salary_change_rate_3_months",
+    "meta": { "spec": "iv", "stage": "second", "ui": "avg_ui_log", "sample": { "(1)": "lottery_scp", "(2)": "whole", "(3)": "lottery_only" } },
     "data": [
       { "variable": "Duration_UI_before", "(1)": "0.001", "(2)": "-0.006***", "(3)": "-0.003" },
       { "variable": "", "(1)": "(0.004)", "(2)": "(0.002)", "(3)": "(0.006)" },
@@ -0,0 +1,100 @@
+// UI_Regression_Results_diff.js
+// Compares two estimation runs coefficient by coefficient. The dashboard describes each run as a flat
+// list of columns (see runColumns in the script); this module only matches them and measures what moved.
+//
+//   { table, column, tableLabel, label, obsText, cells: { <variable>: { text, estimate, stdError, stars } } }
+//
+// table and column are identity strings: two columns match when both agree, and repeated identities
+// are paired in order of appearance.
+
+(function(root) {
+	// ---- Matching ----
+	function columnIdentity(col) {
+		return `${col.table}#${col.column}`;
+	}
+
+	// Resolves to { pairs: [{ old, new }], onlyOld, onlyNew }
+	function matchColumns(oldColumns, newColumns) {
+		const waiting = new Map();
+		oldColumns.forEach(col => {
+			const id = columnIdentity(col);
+			if (!waiting.has(id)) waiting.set(id, []);
+			waiting.get(id).push(col);
+		});
+		const pairs = [];
+		const onlyNew = [];
+		newColumns.forEach(col => {
+			const queue = waiting.get(columnIdentity(col));
+			if (queue && queue.length) pairs.push({ old: queue.shift(), new: col });
+			else onlyNew.push(col);
+		});
+		const onlyOld = oldColumns.filter(col => !pairs.some(p => p.old === col));
+		return { pairs, onlyOld, onlyNew };
+	}
+
+	// ---- Measures ----
+	// "17,700" -> 17700; null when the text holds no count
+	function parseCount(text) {
+		const digits = String(text || '').replace(/[^0-9]/g, '');
+		return digits ? parseInt(digits, 10) : null;
+	}
+
+	// Change in the estimate measured in the old run's standard errors
+	function changeInSe(oldCell, newCell) {
+		if (!oldCell || !newCell || oldCell.estimate === null || newCell.estimate === null) return null;
+		if (!(oldCell.stdError > 0)) return null;
+		return (newCell.estimate - oldCell.estimate) / oldCell.stdError;
+	}
+
+	// Positive when the new run has more stars; a coefficient missing from one run counts as none
+	function starsChange(oldCell, newCell) {
+		return ((newCell && newCell.stars) || '').length - ((oldCell && oldCell.stars) || '').length;
+	}
+
+	// ---- Diff ----
+	// One row per variable of every matched column pair, in the new run's variable order;
+	// variables the new run dropped follow those it kept
+	function diffRuns(oldColumns, newColumns) {
+		const { pairs, onlyOld, onlyNew } = matchColumns(oldColumns, newColumns);
+		const rows = [];
+		pairs.forEach(pair => {
+			const nOld = parseCount(pair.old.obsText);
+			const nNew = parseCount(pair.new.obsText);
+			const variables = [...Object.keys(pair.new.cells), ...Object.keys(pair.old.cells).filter(v => !(v in pair.new.cells))];
+			variables.forEach(variable => {
+				const oldCell = pair.old.cells[variable] || null;
+				const newCell = pair.new.cells[variable] || null;
+				const stars = starsChange(oldCell, newCell);
+				rows.push({
+					old: pair.old,
+					new: pair.new,
+					variable,
+					oldCell,
+					newCell,
+					changeInSe: changeInSe(oldCell, newCell),
+					starsChange: stars,
+					significanceChanged: stars !== 0,
+					estimateChanged: !oldCell || !newCell || oldCell.estimate !== newCell.estimate,
+					nOld,
+					nNew,
+					nChanged: nOld !== nNew
+				});
+			});
+		});
+		return { pairs, rows, onlyOld, onlyNew };
+	}
+
+	const RegressionDiff = {
+		matchColumns,
+		parseCount,
+		changeInSe,
+		starsChange,
+		diffRuns
+	};
+
+	if (typeof module !== 'undefined' && module.exports) {
+		module.exports = RegressionDiff;
+	} else {
+		root.RegressionDiff = RegressionDiff;
+	}
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,293 @@
+// UI_Regression_Results_export.js
+// Turns the dashboard's rendered comparison (the view built by renderTable) into text formats.
+//
+// A view is { title, detail, confidenceLevel, columns: [{ labels }],
+//             rows: [{ label, group, cells: [{ value, stars, se, seText, estimate, stdError } | null] }],
+//             summary: [{ label, values }], note }
+// where group is the row's section ({ id, label }) or null. se is whatever the page prints under the
+// estimate (standard error, t, p or interval, as named by detail); seText is always the standard error.
+//
+// Every builder takes (view, options); options.labels overrides the English header words in
+// DEFAULT_LABELS so the page can pass them in its own language.
+
+(function(root) {
+	// ---- Helpers ----
+	// Consecutive columns sharing a label collapse into one spanning header cell
+	function groupLabels(labels) {
+		const groups = [];
+		labels.forEach((label, i) => {
+			const last = groups[groups.length - 1];
+			if (last && last.label === label) last.span++;
+			else groups.push({ label, start: i, span: 1 });
+		});
+		return groups;
+	}
+
+	function headerLevels(view) {
+		const depth = Math.max(0, ...view.columns.map(c => c.labels.length));
+		const levels = [];
+		for (let i = 0; i < depth; i++) levels.push(view.columns.map(c => c.labels[i] || ''));
+		// Levels that are blank for every column add nothing
+		return levels.filter(level => level.some(Boolean));
+	}
+
+	function columnTitle(column, index) {
+		return [`(${index + 1})`, column.labels.filter(Boolean).join(' • ')].filter(Boolean).join(' ');
+	}
+
+	// The section label to print above row i, or '' when row i continues the previous row's group
+	function groupHeaderAt(view, i) {
+		const group = view.rows[i].group;
+		const previous = i > 0 ? view.rows[i - 1].group : null;
+		return group && (!previous || previous.id !== group.id) ? group.label : '';
+	}
+
+	function stripParens(text) {
+		return String(text || '').replace(/^\((.*)\)$/, '$1');
+	}
+
+	const DEFAULT_LABELS = { variable: 'Variable', estimate: 'estimate', se: 'SE', t: 't', p: 'p', ci: '{level} CI', note: 'Note' };
+
+	function labelsFor(options) {
+		return { ...DEFAULT_LABELS, ...((options && options.labels) || {}) };
+	}
+
+	// Name of what the se field holds, for column headers
+	function detailHeader(view, labels) {
+		const detail = view.detail || 'se';
+		if (detail === 'ci') return labels.ci.replace('{level}', `${Math.round((view.confidenceLevel || 0.95) * 100)}%`);
+		return labels[detail] || labels.se;
+	}
+
+	// ---- LaTeX (booktabs) ----
+	const LATEX_CHARS = {
+		'\\': '\\textbackslash{}',
+		'&': '\\&', '%': '\\%', '$': '\\$', '#': '\\#', '_': '\\_', '{': '\\{', '}': '\\}',
+		'~': '\\textasciitilde{}', '^': '\\textasciicircum{}',
+		'×': '$\\times$', '²': '$^{2}$', '<': '$<$', '>': '$>$'
+	};
+
+	function escapeLatex(text) {
+		return String(text || '').replace(/\^2/g, '²').replace(/[\\&%$#_{}~^×²<>]/g, ch => LATEX_CHARS[ch]);
+	}
+
+	function latexEstimate(cell) {
+		if (!cell) return '';
+		return cell.stars ? `$${cell.value}^{${cell.stars}}$` : `$${cell.value}$`;
+	}
+
+	function latexNote(note) {
+		// "* p<0.1, ** p<0.05" -> "$^{*}$p$<$0.1, $^{**}$p$<$0.05"
+		return escapeLatex(note).replace(/(\*+)\s*p/g, '$^{$1}$p');
+	}
+
+	function toLatex(view) {
+		const n = view.columns.length;
+		const lines = [];
+		const row = cells => `${cells.join(' & ')} \\\\`;
+
+		lines.push('\\begin{table}[!htbp]');
+		lines.push('\\centering');
+		lines.push(`\\caption{${escapeLatex(view.title)}}`);
+		lines.push(`\\begin{tabular}{l${'c'.repeat(n)}}`);
+		lines.push('\\toprule');
+
+		const levels = headerLevels(view);
+		levels.forEach((labels, depth) => {
+			const groups = groupLabels(labels);
+			const cells = groups.map(g => {
+				const text = escapeLatex(g.label);
+				return g.span > 1 ? `\\multicolumn{${g.span}}{c}{${text}}` : text;
+			});
+			lines.push(row(['', ...cells]));
+			// Rules under spanning groups, except on the last level which sits on the column numbers
+			if (depth < levels.length - 1) {
+				const rules = groups.filter(g => g.label).map(g => `\\cmidrule(lr){${g.start + 2}-${g.start + g.span + 1}}`);
+				if (rules.length) lines.push(rules.join(' '));
+			}
+		});
+		lines.push(row(['', ...view.columns.map((c, i) => `(${i + 1})`)]));
+		lines.push('\\midrule');
+
+		view.rows.forEach((r, i) => {
+			if (i > 0) lines.push('\\addlinespace');
+			const header = groupHeaderAt(view, i);
+			if (header) lines.push(row([`\\multicolumn{${n + 1}}{l}{\\textit{${escapeLatex(header)}}}`]));
+			lines.push(row([escapeLatex(r.label), ...r.cells.map(latexEstimate)]));
+			lines.push(row(['', ...r.cells.map(c => escapeLatex(c && c.se))]));
+		});
+
+		lines.push('\\midrule');
+		view.summary.forEach(s => {
+			lines.push(row([escapeLatex(s.label), ...s.values.map(escapeLatex)]));
+		});
+		lines.push('\\bottomrule');
+		if (view.note) {
+			lines.push(row([`\\multicolumn{${n + 1}}{l}{\\footnotesize ${latexNote(view.note)}}`]));
+		}
+		lines.push('\\end{tabular}');
+		lines.push('\\end{table}');
+		return lines.join('\n') + '\n';
+	}
+
+	// ---- Delimited text (CSV / TSV) ----
+	function delimitedField(value, delimiter) {
+		const text = String(value === undefined || value === null ? '' : value);
+		if (delimiter === '\t') return text.replace(/[\t\r\n]+/g, ' ');
+		return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+	}
+
+	function joinDelimited(rows, delimiter) {
+		return rows.map(r => r.map(v => delimitedField(v, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+	}
+
+	// Wide layout, as on screen: one row per variable, an estimate column per model followed by
+	// whatever is shown under it (SE, t, p or interval, named in the header), then the summary rows
+	// and the significance note
+	function toDelimited(view, delimiter, options) {
+		const labels = labelsFor(options);
+		const rows = [];
+		const detail = detailHeader(view, labels);
+		rows.push([labels.variable, ...view.columns.flatMap((c, i) => [`${columnTitle(c, i)}: ${labels.estimate}`, `${columnTitle(c, i)}: ${detail}`])]);
+		view.rows.forEach((r, i) => {
+			const header = groupHeaderAt(view, i);
+			if (header) rows.push([header]);
+			rows.push([r.label, ...r.cells.flatMap(cell => cell ? [cell.value + cell.stars, stripParens(cell.se)] : ['', ''])]);
+		});
+		view.summary.forEach(s => {
+			rows.push([s.label, ...s.values.flatMap(v => [v, ''])]);
+		});
+		if (view.note) rows.push([labels.note, view.note]);
+		return joinDelimited(rows, delimiter);
+	}
+
+	// Long layout: one row per rendered coefficient. se is always the standard error; a t, p or
+	// interval shown on the page gets a column of its own after it. The column names are identifiers
+	// for scripts reading the file, so they stay the same in every language.
+	const TIDY_DETAIL_COLUMNS = { t: 't_stat', p: 'p_value', ci: 'ci' };
+
+	function toTidy(view, delimiter) {
+		const extra = TIDY_DETAIL_COLUMNS[view.detail];
+		const rows = [['variable', 'group', 'column', 'estimate', 'se', ...(extra ? [extra] : []), 'stars']];
+		view.rows.forEach(r => {
+			r.cells.forEach((cell, i) => {
+				if (!cell) return;
+				const shown = extra ? [stripParens(cell.se)] : [];
+				rows.push([r.label, r.group ? r.group.label : '', columnTitle(view.columns[i], i), cell.value, stripParens(cell.seText), ...shown, cell.stars]);
+			});
+		});
+		return joinDelimited(rows, delimiter);
+	}
+
+	const toCsv = (view, options) => toDelimited(view, ',', options);
+	const toTsv = (view, options) => toDelimited(view, '\t', options);
+	const toTidyCsv = view => toTidy(view, ',');
+
+	// ---- Markdown ----
+	function escapeMarkdown(text) {
+		return String(text || '').replace(/([\\|*_`])/g, '\\$1');
+	}
+
+	// Pipe table with stargazer-style SE rows under each coefficient, so it renders on any Markdown engine
+	function toMarkdown(view, options) {
+		const labels = labelsFor(options);
+		const line = cells => `| ${cells.join(' | ')} |`;
+		const lines = [`**${escapeMarkdown(view.title)}**`, ''];
+		lines.push(line([escapeMarkdown(labels.variable), ...view.columns.map((c, i) => escapeMarkdown(columnTitle(c, i)))]));
+		lines.push(line([':---', ...view.columns.map(() => ':---:')]));
+		view.rows.forEach((r, i) => {
+			const header = groupHeaderAt(view, i);
+			if (header) lines.push(line([`*${escapeMarkdown(header)}*`, ...view.columns.map(() => '')]));
+			lines.push(line([escapeMarkdown(r.label), ...r.cells.map(cell => cell ? escapeMarkdown(cell.value + cell.stars) : '')]));
+			lines.push(line(['', ...r.cells.map(cell => (cell && cell.se) || '')]));
+		});
+		view.summary.forEach(s => {
+			lines.push(line([escapeMarkdown(s.label), ...s.values.map(escapeMarkdown)]));
+		});
+		if (view.note) lines.push('', escapeMarkdown(view.note));
+		return lines.join('\n') + '\n';
+	}
+
+	// ---- HTML fragment ----
+	function escapeHtml(text) {
+		return String(text || '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+	}
+
+	// Inline styles only, so the fragment keeps its look where <style> blocks are stripped (wikis, issue trackers)
+	const HTML_STYLES = {
+		wrapper: 'font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; font-size: 14px; color: #212529;',
+		table: 'border-collapse: collapse; border-top: 2px solid #212529; border-bottom: 2px solid #212529;',
+		caption: 'caption-side: top; text-align: left; font-weight: 600; padding: 0 0 6px;',
+		th: 'padding: 4px 10px; text-align: center; font-weight: 600; border-bottom: 1px solid #212529;',
+		label: 'padding: 4px 10px; text-align: left;',
+		cell: 'padding: 4px 10px; text-align: center;',
+		se: 'color: #6c757d; font-size: 12px;',
+		group: 'padding: 6px 10px 2px; text-align: left; font-style: italic;',
+		summaryFirst: 'border-top: 1px solid #212529;',
+		note: 'margin: 6px 0 0; color: #6c757d; font-size: 12px;'
+	};
+
+	function toHtml(view, options) {
+		const labels = labelsFor(options);
+		const st = HTML_STYLES;
+		const out = [];
+		out.push(`<div style="${st.wrapper}">`);
+		out.push(`<table style="${st.table}">`);
+		out.push(`<caption style="${st.caption}">${escapeHtml(view.title)}</caption>`);
+		out.push('<thead>');
+		headerLevels(view).forEach(labels => {
+			const cells = groupLabels(labels).map(g => `<th${g.span > 1 ? ` colspan="${g.span}"` : ''} style="${st.th}">${escapeHtml(g.label)}</th>`);
+			out.push(`<tr><th style="${st.th}"></th>${cells.join('')}</tr>`);
+		});
+		out.push(`<tr><th style="${st.th}">${escapeHtml(labels.variable)}</th>${view.columns.map((c, i) => `<th style="${st.th}">(${i + 1})</th>`).join('')}</tr>`);
+		out.push('</thead>');
+		out.push('<tbody>');
+		view.rows.forEach((r, i) => {
+			const header = groupHeaderAt(view, i);
+			if (header) out.push(`<tr><td colspan="${view.columns.length + 1}" style="${st.group}">${escapeHtml(header)}</td></tr>`);
+			const cells = r.cells.map(cell => {
+				if (!cell) return `<td style="${st.cell}"></td>`;
+				const se = cell.se ? `<br><span style="${st.se}">${escapeHtml(cell.se)}</span>` : '';
+				return `<td style="${st.cell}">${escapeHtml(cell.value + cell.stars)}${se}</td>`;
+			});
+			out.push(`<tr><td style="${st.label}">${escapeHtml(r.label)}</td>${cells.join('')}</tr>`);
+		});
+		view.summary.forEach((s, i) => {
+			const rule = i === 0 ? st.summaryFirst : '';
+			const cells = s.values.map(v => `<td style="${st.cell}${rule}">${escapeHtml(v)}</td>`);
+			out.push(`<tr><td style="${st.label}${rule}">${escapeHtml(s.label)}</td>${cells.join('')}</tr>`);
+		});
+		out.push('</tbody>');
+		out.push('</table>');
+		if (view.note) out.push(`<p style="${st.note}">${escapeHtml(view.note)}</p>`);
+		out.push('</div>');
+		return out.join('\n') + '\n';
+	}
+
+	// label is the English menu entry; the page shows export.format.<key> where it has one.
+	// bom: prefix downloads with a UTF-8 byte order mark so Excel keeps labels such as "×" intact
+	const FORMATS = {
+		latex: { label: 'LaTeX (booktabs)', extension: 'tex', mimeType: 'text/x-tex', build: toLatex },
+		csv: { label: 'CSV (Excel)', extension: 'csv', mimeType: 'text/csv', bom: true, build: toCsv },
+		tsv: { label: 'TSV (paste into a spreadsheet)', extension: 'tsv', mimeType: 'text/tab-separated-values', bom: true, build: toTsv },
+		tidy: { label: 'Long / tidy CSV', extension: 'csv', mimeType: 'text/csv', bom: true, build: toTidyCsv },
+		markdown: { label: 'Markdown table', extension: 'md', mimeType: 'text/markdown', build: toMarkdown },
+		html: { label: 'HTML snippet', extension: 'html', mimeType: 'text/html', build: toHtml }
+	};
+
+	const RegressionExport = {
+		FORMATS,
+		toLatex,
+		toCsv,
+		toTsv,
+		toTidyCsv,
+		toMarkdown,
+		toHtml
+	};
+
+	if (typeof module !== 'undefined' && module.exports) {
+		module.exports = RegressionExport;
+	} else {
+		root.RegressionExport = RegressionExport;
+	}
+})(typeof window !== 'undefined' ? window : this);
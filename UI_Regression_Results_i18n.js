@@ -0,0 +1,481 @@
+// UI_Regression_Results_i18n.js
+// English and Japanese message catalog for the dashboard, plus number formatting through each language's
+// Intl locale. en-US and ja-JP write numbers the same way (comma groups, decimal point), so for the two
+// languages here switching only changes the words; a language added later gets its own separators.
+// Static page text is tagged with data-i18n (text) or data-i18n-title (title/aria-label) keys;
+// the script looks the rest up by key. Missing Japanese entries fall back to English.
+
+(function(root) {
+	const LANGUAGES = {
+		en: { label: 'English', locale: 'en-US' },
+		ja: { label: '日本語', locale: 'ja-JP' }
+	};
+
+	const MESSAGES = {
+		en: {
+			'nav.brand': 'UI Research - Interactive Results',
+			'page.title': 'Unemployment Insurance Effects on Reemployment Wages',
+			'page.description': 'Interactive exploration of regression results with different specifications and variable definitions',
+			'footer.text': 'Research on Unemployment Insurance Effects - Interactive Results Dashboard',
+
+			'panel.heading': 'Specification Controls',
+			'panel.resultSet': 'Result Set:',
+			'panel.preset': 'Preset:',
+			'panel.mainSpec': 'Main Specification:',
+			'panel.dep': 'Dependent Variable:',
+			'panel.ivStage': 'IV Stage:',
+			'panel.ivSample': 'IV Sample:',
+			'panel.uiSize': 'UI Size:',
+			'panel.controls': 'Age and Gender Controls:',
+			'panel.scale': 'Variable Scaling:',
+			'panel.stars': 'Significance Stars:',
+			'panel.cellDetail': 'Below Coefficients:',
+			'panel.confidenceLevel': 'Confidence Level:',
+			'panel.update': 'Update Results',
+			'panel.manualApply': 'Apply changes manually',
+			'panel.manualApplyHint': 'Redraw only when Update Results is pressed; useful for heavy views',
+
+			'preset.custom': 'Custom selection',
+			'preset.saved': 'Saved',
+			'preset.save': 'Save the current selection as a preset',
+			'preset.delete': 'Delete this saved preset',
+			'preset.prompt': 'Name for this preset:',
+
+			'spec.baseline': 'Baseline',
+			'spec.iv': 'IV (Instrumental Variables)',
+
+			'dv.3m': '3-Month Salary Change Rate',
+			'dv.3m_log': '3-Month Salary Change Rate (Log)',
+			'dv.6m': '6-Month Salary Change Rate',
+			'dv.6m_log': '6-Month Salary Change Rate (Log)',
+			'dv.wealth': 'Wealth at end (First Stage)',
+			'dvOption.wealth': 'Wealth at end (IV first stage)',
+			'outcome.wealth': 'Wealth at end',
+
+			'ui.avg_ui_linear': 'Average Monthly UI',
+			'ui.avg_ui_log': 'Average Monthly UI (Log)',
+			'ui.median_ui': 'Median Daily UI',
+			'ui.median_ui_log': 'Median Daily UI (Log)',
+			'uiOption.avg_ui_linear': 'Average Monthly UI (Linear)',
+			'uiOption.avg_ui_log': 'Average Monthly UI (Log)',
+			'uiOption.median_ui': 'Median Daily UI (Linear)',
+			'uiOption.median_ui_log': 'Median Daily UI (Log)',
+
+			'control.exclude': 'Exclude Age',
+			'control.include': 'Include Age',
+			'control.interaction': 'Age × Gender Interaction',
+			'control.age2_control': 'Higher-order Age Control',
+			'control.age2_interaction': 'Higher-order Age Control + Gender Interaction',
+
+			'ivStage.first': 'First stage',
+			'ivStage.second': 'Second stage',
+			'sample.whole': 'Whole data',
+			'sample.lottery_scp': 'Only lottery and SCP data',
+			'sample.lottery_only': 'Only lottery',
+
+			'scale.declared': 'As declared by the table',
+			'scale.1': 'Per yen (as estimated)',
+			'scale.1000': 'Per 1,000 yen',
+			'scale.10000': 'Per 10,000 yen',
+			'scale.rounded': 'The data file has only the printed estimates for this variable, so rescaled values keep their rounding and small coefficients can still show as 0.',
+			'scaleSuffix.1000': 'per 1,000 yen',
+			'scaleSuffix.10000': 'per 10,000 yen',
+
+			'stars.printed': 'As printed',
+			'stars.conventional': 'Recompute: 0.1 / 0.05 / 0.01',
+			'stars.strict': 'Recompute: 0.05 / 0.01 / 0.001',
+			'stars.custom': 'Recompute: custom thresholds',
+			'stars.customInput': 'Custom star thresholds',
+			'stars.printedAs': 'Printed as {value}',
+			'stars.noStars': '{value} (no stars)',
+			'stars.unchecked': 'Printed as {value}; not recomputed, as there is no usable p-value',
+
+			'detail.se': 'Standard errors',
+			'detail.t': 't-statistics',
+			'detail.p': 'p-values',
+			'detail.ci': 'Confidence intervals',
+
+			'results.table': 'Table',
+			'results.plot': 'Coefficient plot',
+			'results.curve': 'Specification curve',
+			'results.coverage': 'Coverage',
+			'export.menu': 'Export',
+			'export.copy': 'Copy',
+			'export.download': 'Download',
+			'export.close': 'Close',
+			'export.format.latex': 'LaTeX (booktabs)',
+			'export.format.csv': 'CSV (Excel)',
+			'export.format.tsv': 'TSV (paste into a spreadsheet)',
+			'export.format.tidy': 'Long / tidy CSV',
+			'export.format.markdown': 'Markdown table',
+			'export.format.html': 'HTML snippet',
+			'export.variable': 'Variable',
+			'export.estimate': 'estimate',
+			'export.se': 'SE',
+			'export.t': 't',
+			'export.p': 'p',
+			'export.ci': '{level} CI',
+			'export.note': 'Note',
+			'source.show': 'Show the source table',
+			'source.title': 'Source table {number}: {dep} ({details})',
+			'source.notes': 'Notes: {notes}',
+			'source.provenance': 'Table {number}, column {column}: {dep}',
+			'source.noRecord': 'Not estimated: no table has this combination',
+			'source.alternatives': 'Also matched, shown alongside: {tables}',
+			'source.alternative': 'table {number} {column}',
+			'source.cellHint': 'Click to open the source table',
+
+			'title.baseline': 'Baseline Results',
+			'title.iv': 'IV Results',
+			'table.variable': 'Variable',
+			'column.notEstimated': 'not estimated',
+			'column.fromTable': 'table {number}',
+			'summary.observations': 'Observations',
+			'summary.r2': 'R^2',
+			'summary.adjR2': 'Adjusted R^2',
+			'iv.firstStageF': 'First-stage F',
+			'iv.weakInstruments': 'Weak instruments test',
+			'iv.fStatistic': 'F Statistic',
+			'iv.wuHausman': 'Wu-Hausman test',
+			'iv.sargan': 'Overidentification test',
+			'iv.strength': 'Instrument strength (F vs {threshold})',
+			'iv.weak': 'weak',
+			'iv.strong': 'strong',
+
+			'note.se': 'Standard errors in parentheses.',
+			'note.t': 't-statistics in parentheses.',
+			'note.p': 'p-values in parentheses.',
+			'note.ci': '{level} confidence intervals in brackets.',
+			'note.recomputed': '{note} (stars recomputed from the estimates and standard errors)',
+			'note.unchecked': '{count} marked cell(s) keep their printed stars: no usable p-value to recompute them from.',
+
+			'plot.axis': 'Estimate with {level} confidence interval',
+			'plot.noStdError': 'no usable standard error',
+			'plot.missing': 'not in this column',
+			'plot.ariaLabel': '{variable}: estimates with {level} confidence intervals',
+			'plot.pick': 'Select at least one variable to plot.',
+
+			'curve.variable': 'Focal variable:',
+			'curve.dep': 'Outcome',
+			'curve.ui': 'UI measure',
+			'curve.controls': 'Age and gender controls',
+			'curve.summary': '{count} baseline specification(s), sorted by estimate: {positive} positive, {significant} significant.',
+			'curve.empty': 'No baseline table estimates this variable.',
+
+			'availability.never': 'No table estimates this option',
+			'availability.none': 'Not estimated with any of the other selected options',
+			'availability.partial': 'Estimated for {count} of the {total} combinations with the other selected options',
+			'coverage.summary': '{estimated} of {total} combinations estimated. Highlighted cells are in the current selection; click a table to open it.',
+			'coverage.missing': 'Still to run ({count})',
+			'coverage.complete': 'Every combination is estimated.',
+
+			'import.drop': 'Drop stargazer (.txt, .tex) or esttab (.csv) output here, or',
+			'import.browse': 'browse',
+			'import.download': 'Download updated data file',
+			'import.imported': '{name}: {count} table(s) from {format} output',
+			'import.failed': 'Import failed: {error}',
+			'integrity.heading': '{problems} data integrity problem(s) in {tables} table(s)',
+			'problem.table': 'Table {number}',
+			'problem.notArray': 'tablesData is not an array',
+			'problem.notObject': 'entry is not an object',
+			'problem.noDependentVariable': 'missing dependentVariable',
+			'problem.noData': 'missing data array',
+			'problem.noStdError': 'coefficient has no standard error row',
+			'problem.rawNotObject': 'raw is not an object keyed by column',
+			'problem.rawWithoutCoefficient': 'raw values for a column without a coefficient',
+			'problem.rawEntryNotObject': 'raw entry is not an { estimate, se } object',
+			'problem.rawNotNumber': 'raw {field} is not a number',
+			'problem.rawEstimateRounding': 'raw estimate {raw} does not round to the printed "{printed}"',
+			'problem.rawSeRounding': 'raw se {raw} does not round to the printed "{printed}"',
+			'problem.duplicateVariable': 'duplicate variable in the same table',
+			'problem.stdErrorOnCoefficientRow': 'standard error "{text}" on the coefficient row',
+			'problem.starsOnNonNumeric': 'stars on a non-numeric estimate "{text}"',
+			'problem.nonNumericEstimate': 'non-numeric estimate "{text}"',
+			'problem.unlabelledValue': 'unlabelled value "{text}" is neither blank nor a standard error',
+			'problem.stdErrorBeforeVariable': 'standard error "{text}" before any variable',
+			'problem.stdErrorWithoutCoefficient': 'standard error "{text}" without a coefficient',
+			'problem.secondStdError': 'second standard error "{text}" for the same coefficient',
+			'problem.nonNumericStdError': 'non-numeric standard error "{text}"',
+			'problem.summaryNoMetric': 'summary row {row} has no metric name',
+			'problem.summaryBeyondLastColumn': 'summary value beyond the last column',
+			'problem.summaryMissing': 'summary value missing',
+			'problem.summaryWithoutCoefficients': 'summary value for a column without coefficients',
+			'importWarning.esttabTStatistics': 'esttab output reports t statistics in parentheses; re-export with the "se" option to import standard errors',
+			'importWarning.noTable': 'No regression table found in {file}',
+			'importWarning.noDependentVariable': '{file}: table {number} has no dependent variable name',
+
+			'diff.heading': 'Compare runs',
+			'diff.old': 'Old run:',
+			'diff.new': 'New run:',
+			'diff.significanceOnly': 'Only significance changes',
+			'diff.load': 'Add a run from a bundle (.json) or data file (.js):',
+			'diff.loaded': 'Added {name} with {count} table(s)',
+			'diff.loadFailed': 'Could not read {name}: {error}',
+			'diff.needTwo': 'Load a second run (?bundle=old.json,new.json, or add a file) to compare.',
+			'diff.sameRun': 'Pick two different runs.',
+			'diff.summary': '{cells} coefficient(s) in {columns} matched column(s): {estimates} estimate(s) moved, {significance} significance change(s), {observations} column(s) with a different N.',
+			'diff.unmatched': 'Columns only in the old run: {old}. Only in the new run: {new}.',
+			'diff.nothing': 'No coefficient matches the filter.',
+			'diff.table': 'Table',
+			'diff.column': 'Column',
+			'diff.oldEstimate': 'Old',
+			'diff.newEstimate': 'New',
+			'diff.changeInSe': 'Change (SE)',
+			'diff.stars': 'Stars',
+			'diff.observations': 'N',
+			'diff.gained': 'gained {stars}',
+			'diff.lost': 'lost {stars}'
+		},
+		ja: {
+			'nav.brand': '失業給付研究 - インタラクティブ結果',
+			'page.title': '失業給付が再就職賃金に与える影響',
+			'page.description': '推定仕様と変数定義を切り替えて回帰結果を確認できます',
+			'footer.text': '失業給付の効果に関する研究 - インタラクティブ結果ダッシュボード',
+
+			'panel.heading': '推定仕様の設定',
+			'panel.resultSet': '結果セット：',
+			'panel.preset': 'プリセット：',
+			'panel.mainSpec': '推定方法：',
+			'panel.dep': '被説明変数：',
+			'panel.ivStage': 'IVの段階：',
+			'panel.ivSample': 'IVのサンプル：',
+			'panel.uiSize': '失業給付の大きさ：',
+			'panel.controls': '年齢・性別のコントロール：',
+			'panel.scale': '変数のスケール：',
+			'panel.stars': '有意性の星印：',
+			'panel.cellDetail': '係数の下に表示：',
+			'panel.confidenceLevel': '信頼水準：',
+			'panel.update': '結果を更新',
+			'panel.manualApply': '変更を手動で反映',
+			'panel.manualApplyHint': '「結果を更新」を押したときだけ再描画します（重い表示向け）',
+
+			'preset.custom': 'カスタム選択',
+			'preset.saved': '保存済み',
+			'preset.save': '現在の選択をプリセットとして保存',
+			'preset.delete': 'この保存済みプリセットを削除',
+			'preset.prompt': 'プリセット名：',
+
+			'spec.baseline': 'ベースライン',
+			'spec.iv': 'IV（操作変数法）',
+
+			'dv.3m': '3か月後の賃金変化率',
+			'dv.3m_log': '3か月後の賃金変化率（対数）',
+			'dv.6m': '6か月後の賃金変化率',
+			'dv.6m_log': '6か月後の賃金変化率（対数）',
+			'dv.wealth': '期末資産（第1段階）',
+			'dvOption.wealth': '期末資産（IV第1段階）',
+			'outcome.wealth': '期末資産',
+
+			'ui.avg_ui_linear': '平均月額失業給付',
+			'ui.avg_ui_log': '平均月額失業給付（対数）',
+			'ui.median_ui': '日額失業給付の中央値',
+			'ui.median_ui_log': '日額失業給付の中央値（対数）',
+			'uiOption.avg_ui_linear': '平均月額失業給付（線形）',
+			'uiOption.avg_ui_log': '平均月額失業給付（対数）',
+			'uiOption.median_ui': '日額失業給付の中央値（線形）',
+			'uiOption.median_ui_log': '日額失業給付の中央値（対数）',
+
+			'control.exclude': '年齢なし',
+			'control.include': '年齢あり',
+			'control.interaction': '年齢 × 性別の交差項',
+			'control.age2_control': '年齢の高次項',
+			'control.age2_interaction': '年齢の高次項 + 性別との交差項',
+
+			'ivStage.first': '第1段階',
+			'ivStage.second': '第2段階',
+			'sample.whole': '全データ',
+			'sample.lottery_scp': '宝くじとSCPのデータのみ',
+			'sample.lottery_only': '宝くじのみ',
+
+			'scale.declared': '表の指定どおり',
+			'scale.1': '1円あたり（推定値のまま）',
+			'scale.1000': '1,000円あたり',
+			'scale.10000': '1万円あたり',
+			'scale.rounded': 'データファイルにはこの変数の表示値しかないため、スケールを変えても丸めはそのままで、小さな係数は0と表示されることがあります。',
+			'scaleSuffix.1000': '1,000円あたり',
+			'scaleSuffix.10000': '1万円あたり',
+
+			'stars.printed': '出力どおり',
+			'stars.conventional': '再計算：0.1 / 0.05 / 0.01',
+			'stars.strict': '再計算：0.05 / 0.01 / 0.001',
+			'stars.custom': '再計算：任意の閾値',
+			'stars.customInput': '星印の閾値',
+			'stars.printedAs': '出力上の表記：{value}',
+			'stars.noStars': '{value}（星印なし）',
+			'stars.unchecked': '出力上の表記：{value}（有効なp値がないため再計算していません）',
+
+			'detail.se': '標準誤差',
+			'detail.t': 't値',
+			'detail.p': 'p値',
+			'detail.ci': '信頼区間',
+
+			'results.table': '表',
+			'results.plot': '係数プロット',
+			'results.curve': '特定化曲線',
+			'results.coverage': '推定状況',
+			'export.menu': 'エクスポート',
+			'export.copy': 'コピー',
+			'export.download': 'ダウンロード',
+			'export.close': '閉じる',
+			'export.format.latex': 'LaTeX（booktabs）',
+			'export.format.csv': 'CSV（Excel）',
+			'export.format.tsv': 'TSV（表計算ソフトに貼り付け）',
+			'export.format.tidy': '縦長（tidy）CSV',
+			'export.format.markdown': 'Markdown 表',
+			'export.format.html': 'HTML スニペット',
+			'export.variable': '変数',
+			'export.estimate': '推定値',
+			'export.se': '標準誤差',
+			'export.t': 't値',
+			'export.p': 'p値',
+			'export.ci': '{level}信頼区間',
+			'export.note': '注',
+			'source.show': '元の表を表示',
+			'source.title': '元の表 {number}：{dep}（{details}）',
+			'source.notes': '注：{notes}',
+			'source.provenance': '表 {number}、列 {column}：{dep}',
+			'source.noRecord': '未推定：この組み合わせの表はありません',
+			'source.alternatives': '他にも該当（並べて表示）：{tables}',
+			'source.alternative': '表 {number} {column}',
+			'source.cellHint': 'クリックすると元の表を開きます',
+
+			'title.baseline': 'ベースラインの推定結果',
+			'title.iv': 'IVの推定結果',
+			'table.variable': '変数',
+			'column.notEstimated': '未推定',
+			'column.fromTable': '表 {number}',
+			'summary.observations': '観測数',
+			'summary.r2': 'R^2',
+			'summary.adjR2': '自由度調整済みR^2',
+			'iv.firstStageF': '第1段階のF値',
+			'iv.weakInstruments': '弱操作変数の検定',
+			'iv.fStatistic': 'F統計量',
+			'iv.wuHausman': 'Wu-Hausman検定',
+			'iv.sargan': '過剰識別検定',
+			'iv.strength': '操作変数の強さ（F値と{threshold}の比較）',
+			'iv.weak': '弱い',
+			'iv.strong': '十分',
+
+			'note.se': '括弧内は標準誤差。',
+			'note.t': '括弧内はt値。',
+			'note.p': '括弧内はp値。',
+			'note.ci': '角括弧内は{level}信頼区間。',
+			'note.recomputed': '{note}（星印は推定値と標準誤差から再計算）',
+			'note.unchecked': '印の付いた{count}個のセルは有効なp値がないため、出力上の星印のままです。',
+
+			'plot.axis': '推定値と{level}信頼区間',
+			'plot.noStdError': '有効な標準誤差なし',
+			'plot.missing': 'この列には含まれない',
+			'plot.ariaLabel': '{variable}：推定値と{level}信頼区間',
+			'plot.pick': 'プロットする変数を1つ以上選んでください。',
+
+			'curve.variable': '注目する変数：',
+			'curve.dep': '被説明変数',
+			'curve.ui': '失業給付の指標',
+			'curve.controls': '年齢・性別のコントロール',
+			'curve.summary': 'ベースラインの{count}通りの推定（推定値の順）：正が{positive}個、有意が{significant}個。',
+			'curve.empty': 'この変数を含むベースラインの表はありません。',
+
+			'availability.never': 'この選択肢を推定した表はありません',
+			'availability.none': '他に選んだ選択肢との組み合わせはどれも未推定です',
+			'availability.partial': '他に選んだ選択肢との{total}通りの組み合わせのうち{count}通りを推定済み',
+			'coverage.summary': '{total}通りの組み合わせのうち{estimated}通りを推定済み。色付きのセルは現在の選択に含まれます。表をクリックすると開きます。',
+			'coverage.missing': '未推定の組み合わせ（{count}）',
+			'coverage.complete': 'すべての組み合わせを推定済みです。',
+
+			'import.drop': 'stargazer（.txt, .tex）または esttab（.csv）の出力をここにドロップ、または',
+			'import.browse': 'ファイルを選択',
+			'import.download': '更新したデータファイルをダウンロード',
+			'import.imported': '{name}：{format} の出力から {count} 個の表',
+			'import.failed': '読み込みに失敗しました：{error}',
+			'integrity.heading': '{tables} 個の表にデータ整合性の問題が {problems} 件',
+			'problem.table': '表{number}',
+			'problem.notArray': 'tablesData が配列ではありません',
+			'problem.notObject': '要素がオブジェクトではありません',
+			'problem.noDependentVariable': 'dependentVariable がありません',
+			'problem.noData': 'data 配列がありません',
+			'problem.noStdError': '係数に標準誤差の行がありません',
+			'problem.rawNotObject': 'raw が列をキーとするオブジェクトではありません',
+			'problem.rawWithoutCoefficient': '係数のない列に raw の値があります',
+			'problem.rawEntryNotObject': 'raw の要素が { estimate, se } オブジェクトではありません',
+			'problem.rawNotNumber': 'raw の {field} が数値ではありません',
+			'problem.rawEstimateRounding': 'raw の推定値 {raw} を丸めても表示値「{printed}」になりません',
+			'problem.rawSeRounding': 'raw の標準誤差 {raw} を丸めても表示値「{printed}」になりません',
+			'problem.duplicateVariable': '同じ表に変数が重複しています',
+			'problem.stdErrorOnCoefficientRow': '係数の行に標準誤差「{text}」があります',
+			'problem.starsOnNonNumeric': '数値でない推定値「{text}」に星印があります',
+			'problem.nonNumericEstimate': '推定値「{text}」が数値ではありません',
+			'problem.unlabelledValue': 'ラベルのない値「{text}」が空欄でも標準誤差でもありません',
+			'problem.stdErrorBeforeVariable': '変数より前に標準誤差「{text}」があります',
+			'problem.stdErrorWithoutCoefficient': '係数のない標準誤差「{text}」があります',
+			'problem.secondStdError': '同じ係数に2つ目の標準誤差「{text}」があります',
+			'problem.nonNumericStdError': '標準誤差「{text}」が数値ではありません',
+			'problem.summaryNoMetric': '要約の{row}行目に指標名がありません',
+			'problem.summaryBeyondLastColumn': '最後の列より後ろに要約の値があります',
+			'problem.summaryMissing': '要約の値がありません',
+			'problem.summaryWithoutCoefficients': '係数のない列に要約の値があります',
+			'importWarning.esttabTStatistics': 'esttab の出力は括弧内がt値です。標準誤差を取り込むには "se" オプションで出力し直してください',
+			'importWarning.noTable': '{file} に回帰表が見つかりません',
+			'importWarning.noDependentVariable': '{file}：表{number}に被説明変数の名前がありません',
+
+			'diff.heading': '推定結果の比較',
+			'diff.old': '比較元：',
+			'diff.new': '比較先：',
+			'diff.significanceOnly': '有意性が変わったものだけ',
+			'diff.load': 'バンドル（.json）またはデータファイル（.js）から結果を追加：',
+			'diff.loaded': '{name}（{count}表）を追加しました',
+			'diff.loadFailed': '{name} を読み込めません：{error}',
+			'diff.needTwo': '比較するには2つ目の結果を読み込んでください（?bundle=old.json,new.json またはファイルを追加）。',
+			'diff.sameRun': '異なる2つの結果を選んでください。',
+			'diff.summary': '対応する{columns}列の係数{cells}個のうち、推定値の変化{estimates}個、有意性の変化{significance}個、観測数が異なる列{observations}列。',
+			'diff.unmatched': '比較元のみの列：{old}。比較先のみの列：{new}。',
+			'diff.nothing': '条件に合う係数はありません。',
+			'diff.table': '表',
+			'diff.column': '列',
+			'diff.oldEstimate': '比較元',
+			'diff.newEstimate': '比較先',
+			'diff.changeInSe': '変化（標準誤差単位）',
+			'diff.stars': '星印',
+			'diff.observations': '観測数',
+			'diff.gained': '{stars} 増',
+			'diff.lost': '{stars} 減'
+		}
+	};
+
+	function hasMessage(lang, key) {
+		return !!((MESSAGES[lang] && key in MESSAGES[lang]) || key in MESSAGES.en);
+	}
+
+	// translate('ja', 'note.ci', { level: '95%' }); unknown keys come back unchanged
+	function translate(lang, key, params) {
+		const text = (MESSAGES[lang] && MESSAGES[lang][key]) || MESSAGES.en[key] || key;
+		return text.replace(/\{(\w+)\}/g, (match, name) => (params && name in params ? params[name] : match));
+	}
+
+	function formatNumber(lang, value, digits) {
+		const locale = (LANGUAGES[lang] || LANGUAGES.en).locale;
+		return new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+	}
+
+	// Dictionary entries carry label plus optional translations such as labelJa
+	function localizedLabel(lang, entry) {
+		if (!entry) return '';
+		const key = `label${lang.charAt(0).toUpperCase()}${lang.slice(1)}`;
+		return (lang !== 'en' && entry[key]) || entry.label || '';
+	}
+
+	const RegressionI18n = {
+		LANGUAGES,
+		MESSAGES,
+		hasMessage,
+		translate,
+		formatNumber,
+		localizedLabel
+	};
+
+	if (typeof module !== 'undefined' && module.exports) {
+		module.exports = RegressionI18n;
+	} else {
+		root.RegressionI18n = RegressionI18n;
+	}
+})(typeof window !== 'undefined' ? window : this);
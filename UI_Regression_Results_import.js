@@ -0,0 +1,457 @@
+// UI_Regression_Results_import.js
+// Parses stargazer text/LaTeX output and Stata esttab CSV into tablesData entries.
+// Shared by the dashboard's drag-and-drop importer and tools/import_regression_tables.js
+
+(function(root) {
+	// ---- Helpers ----
+	const COLUMN_TOKEN = /^\(\d+\)$/;
+	const VALUE_WORD = /^\(?-?[\d.,]*\d[\d.,]*\)?\**$/;
+	const SUMMARY_VALUE = /-?[\d.,]*\d[\d.,]*\**(?:\s*\(df\s*=\s*[^)]*\))?/g;
+
+	// Metric names as stargazer/esttab print them -> names used in tablesData
+	const METRIC_NAMES = {
+		'n': 'Observations',
+		'observations': 'Observations',
+		'r2': 'R^2',
+		'r-sq': 'R^2',
+		'r-squared': 'R^2',
+		'adjusted r2': 'Adjusted R^2',
+		'adj. r-sq': 'Adjusted R^2',
+		'adj. r-squared': 'Adjusted R^2',
+		'r2_a': 'Adjusted R^2',
+		'f': 'F Statistic'
+	};
+
+	function normalizeMetric(label) {
+		const key = String(label || '').replace(/\^/g, '').trim().toLowerCase();
+		return METRIC_NAMES[key] || String(label || '').trim();
+	}
+
+	function isRule(line, ch) {
+		return new RegExp(`^\\${ch}{3,}\\s*$`).test(line);
+	}
+
+	function nearestIndex(centers, pos) {
+		let best = 0;
+		centers.forEach((c, i) => {
+			if (Math.abs(c - pos) < Math.abs(centers[best] - pos)) best = i;
+		});
+		return best;
+	}
+
+	// Builds one tablesData entry from parsed coefficient/SE pairs in stargazer's row-triplet layout
+	function buildTable(dependentVariable, columns, coefficients, summary, notes) {
+		const blankRow = name => {
+			const row = { variable: name };
+			columns.forEach(c => { row[c] = ''; });
+			return row;
+		};
+		const data = [];
+		coefficients.forEach(coef => {
+			const estimates = blankRow(coef.variable);
+			const errors = blankRow('');
+			columns.forEach(c => {
+				estimates[c] = coef.estimates[c] || '';
+				errors[c] = coef.errors[c] || '';
+			});
+			data.push(estimates, errors, blankRow(''));
+		});
+		return {
+			dependentVariable,
+			data,
+			summary: summary.map(s => {
+				const row = { metric: s.metric };
+				columns.forEach(c => { row[c] = s.values[c] || ''; });
+				return row;
+			}),
+			notes: notes || ''
+		};
+	}
+
+	// A table may report several dependent variables side by side; split it into one entry per DV
+	function splitByDependent(dvByColumn, columns, coefficients, summary, notes) {
+		const groups = [];
+		columns.forEach(c => {
+			const dv = dvByColumn[c] || '';
+			let group = groups.find(g => g.dv === dv);
+			if (!group) groups.push(group = { dv, columns: [] });
+			group.columns.push(c);
+		});
+		return groups.map(g => {
+			const coefs = coefficients.filter(coef => g.columns.some(c => coef.estimates[c]));
+			return buildTable(g.dv, g.columns, coefs, summary, notes);
+		});
+	}
+
+	function addCoefficient(coefficients, name, values) {
+		const coef = { variable: name, estimates: values, errors: {} };
+		coefficients.push(coef);
+		return coef;
+	}
+
+	// ---- stargazer text ----
+	function parseStargazerText(text) {
+		const lines = String(text || '').replace(/\r/g, '').split('\n');
+		const tables = [];
+		let state = 'outside';
+		let current = null;
+
+		const finish = () => {
+			if (current && current.columns.length) {
+				tables.push(...splitByDependent(current.dvByColumn, current.columns, current.coefficients, current.summary, current.notes));
+			}
+			current = null;
+		};
+
+		lines.forEach(line => {
+			if (isRule(line, '=')) {
+				if (state === 'outside' || state === 'footer') {
+					finish();
+					current = { headerLines: [], columns: [], centers: [], dvByColumn: {}, coefficients: [], summary: [], notes: '' };
+					state = 'header';
+				} else if (state === 'body' || state === 'summary') {
+					state = 'footer';
+				}
+				return;
+			}
+			if (!current) return;
+
+			if (state === 'header') {
+				const words = [...line.matchAll(/\S+/g)];
+				if (words.length && words.every(w => COLUMN_TOKEN.test(w[0]))) {
+					current.columns = words.map(w => w[0]);
+					current.centers = words.map(w => w.index + w[0].length / 2);
+					// Dependent variable names sit on the last non-rule header line above the column numbers
+					const dvLine = current.headerLines.filter(l => l.trim() && !/dependent variable/i.test(l) && !/^\s*-+\s*$/.test(l)).pop() || '';
+					const dvs = [...dvLine.matchAll(/\S+/g)].map(w => ({ name: w[0], center: w.index + w[0].length / 2 }));
+					current.columns.forEach((c, i) => {
+						if (!dvs.length) return;
+						const centers = dvs.map(d => d.center);
+						current.dvByColumn[c] = dvs[nearestIndex(centers, current.centers[i])].name;
+					});
+				} else if (isRule(line, '-') && current.columns.length) {
+					state = 'body';
+				} else {
+					current.headerLines.push(line);
+				}
+				return;
+			}
+
+			if (state === 'body') {
+				if (isRule(line, '-')) { state = 'summary'; return; }
+				const words = [...line.matchAll(/\S+/g)];
+				if (!words.length) return;
+				const firstValue = words.findIndex(w => VALUE_WORD.test(w[0]));
+				const labelWords = firstValue === -1 ? words : words.slice(0, firstValue);
+				const values = {};
+				(firstValue === -1 ? [] : words.slice(firstValue)).forEach(w => {
+					const col = current.columns[nearestIndex(current.centers, w.index + w[0].length / 2)];
+					values[col] = w[0];
+				});
+				const name = labelWords.map(w => w[0]).join(' ');
+				if (name) {
+					addCoefficient(current.coefficients, name, values);
+				} else if (current.coefficients.length) {
+					Object.assign(current.coefficients[current.coefficients.length - 1].errors, values);
+				}
+				return;
+			}
+
+			if (state === 'summary') {
+				if (isRule(line, '-') || !line.trim()) return;
+				const firstNumber = line.search(/\s-?[\d.,]*\d/);
+				if (firstNumber === -1) return;
+				const label = line.slice(0, firstNumber).trim();
+				const matches = [...line.slice(firstNumber).matchAll(SUMMARY_VALUE)];
+				const values = {};
+				matches.forEach((m, i) => {
+					const mid = firstNumber + m.index + m[0].length / 2;
+					// Long entries such as "0.785 (df = 63339)" overflow their column, so go by order when the count fits
+					const col = matches.length === current.columns.length ? current.columns[i] : current.columns[nearestIndex(current.centers, mid)];
+					values[col] = m[0].trim();
+				});
+				current.summary.push({ metric: normalizeMetric(label), values });
+				return;
+			}
+
+			if (state === 'footer') {
+				const note = line.match(/^\s*Note:\s*(.*)$/);
+				if (note) current.notes = note[1].trim();
+				else if (line.trim() && current.notes) current.notes += ' ' + line.trim();
+			}
+		});
+		finish();
+		return tables;
+	}
+
+	// ---- stargazer LaTeX ----
+	function cleanLatex(cell) {
+		return String(cell || '')
+			.replace(/\\\\\[[^\]]*\]/g, '')
+			.replace(/\\(hline|cline\{[^}]*\})/g, '')
+			.replace(/\$\^\{([^}]*)\}\$/g, '$1')
+			.replace(/\$-\$/g, '-')
+			.replace(/\$<\$/g, '<')
+			.replace(/\$>\$/g, '>')
+			.replace(/\\text(it|bf|rm)\{([^}]*)\}/g, '$2')
+			.replace(/\\_/g, '_')
+			.replace(/\\%/g, '%')
+			.replace(/\\&/g, '&')
+			.replace(/\$/g, '')
+			.replace(/\\\\\s*$/, '')
+			.trim();
+	}
+
+	// "& \multicolumn{3}{c}{X}" spans three columns with the same text
+	function splitLatexRow(line) {
+		const body = line.replace(/\\\\\s*$/, '').replace(/^\s*\\\\\[[^\]]*\]/, '');
+		const cells = [];
+		body.split(/(?<!\\)&/).forEach(part => {
+			const multi = part.match(/\\multicolumn\{(\d+)\}\{[^}]*\}\{(.*)\}\s*$/);
+			if (multi) {
+				for (let i = 0; i < parseInt(multi[1], 10); i++) cells.push(cleanLatex(multi[2]));
+			} else {
+				cells.push(cleanLatex(part));
+			}
+		});
+		return cells;
+	}
+
+	function parseStargazerLatex(text) {
+		const lines = String(text || '').replace(/\r/g, '').split('\n');
+		const tables = [];
+		let current = null;
+		let state = 'outside';
+
+		const finish = () => {
+			if (current && current.columns.length) {
+				tables.push(...splitByDependent(current.dvByColumn, current.columns, current.coefficients, current.summary, current.notes));
+			}
+			current = null;
+		};
+
+		lines.forEach(line => {
+			if (/\\begin\{tabular\}/.test(line)) {
+				finish();
+				current = { columns: [], dvRows: [], dvByColumn: {}, coefficients: [], summary: [], notes: '' };
+				state = 'header';
+				return;
+			}
+			if (/\\end\{tabular\}/.test(line)) { finish(); state = 'outside'; return; }
+			if (!current) return;
+
+			const hasRule = /\\hline/.test(line);
+			const cells = line.includes('&') ? splitLatexRow(line) : [];
+
+			if (state === 'header') {
+				if (cells.length > 1 && cells.slice(1).every(c => COLUMN_TOKEN.test(c))) {
+					current.columns = cells.slice(1);
+					const dvRow = current.dvRows.filter(r => !r.some(c => /dependent variable/i.test(c))).pop() || [];
+					current.columns.forEach((c, i) => { current.dvByColumn[c] = dvRow[i + 1] || ''; });
+					state = 'pre-body';
+				} else if (cells.length > 1) {
+					current.dvRows.push(cells);
+				}
+				return;
+			}
+			if (state === 'pre-body') {
+				if (hasRule) state = 'body';
+				return;
+			}
+			if (/^\s*(\\textit\{)?Note:/.test(cleanLatex(line)) || /Note:/.test(cells[0] || '')) {
+				// The note is one \multicolumn spanning every column, so any of its cells carries the full text
+				current.notes = cells.slice(1).find(Boolean) || cleanLatex(line).replace(/^Note:\s*/, '');
+				state = 'footer';
+				return;
+			}
+			if (state === 'body') {
+				if (hasRule && !cells.length) { state = 'summary'; return; }
+				if (!cells.length) return;
+				const values = {};
+				current.columns.forEach((c, i) => { if (cells[i + 1]) values[c] = cells[i + 1]; });
+				if (cells[0]) {
+					addCoefficient(current.coefficients, cells[0], values);
+				} else if (current.coefficients.length) {
+					Object.assign(current.coefficients[current.coefficients.length - 1].errors, values);
+				}
+				return;
+			}
+			if (state === 'summary') {
+				if (!cells.length || !cells[0]) return;
+				const values = {};
+				current.columns.forEach((c, i) => { if (cells[i + 1]) values[c] = cells[i + 1]; });
+				current.summary.push({ metric: normalizeMetric(cells[0]), values });
+			}
+		});
+		finish();
+		return tables;
+	}
+
+	// ---- esttab CSV ----
+	function splitCsvLine(line, delimiter) {
+		const out = [];
+		let cell = '';
+		let quoted = false;
+		for (let i = 0; i < line.length; i++) {
+			const ch = line[i];
+			if (quoted) {
+				if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+				else if (ch === '"') quoted = false;
+				else cell += ch;
+			} else if (ch === '"') {
+				quoted = true;
+			} else if (ch === delimiter) {
+				out.push(cell);
+				cell = '';
+			} else {
+				cell += ch;
+			}
+		}
+		out.push(cell);
+		// esttab wraps cells as ="..." so spreadsheets keep them as text
+		return out.map(c => c.replace(/^=/, '').trim());
+	}
+
+	function parseEsttabCsv(text, warnings) {
+		const lines = String(text || '').replace(/\r/g, '').split('\n').filter(l => l.trim());
+		const delimiter = lines.some(l => l.includes('\t')) && !lines.some(l => l.includes(',')) ? '\t' : ',';
+		const rows = lines.map(l => splitCsvLine(l, delimiter));
+		let columns = [];
+		const dvByColumn = {};
+		const coefficients = [];
+		const summary = [];
+		const notes = [];
+		let state = 'header';
+
+		rows.forEach(cells => {
+			const label = cells[0];
+			const rest = cells.slice(1);
+			if (state === 'header') {
+				if (rest.length && rest.every(c => COLUMN_TOKEN.test(c))) {
+					columns = rest;
+				} else if (columns.length && !label && rest.some(Boolean)) {
+					columns.forEach((c, i) => { dvByColumn[c] = rest[i] || ''; });
+				} else if (columns.length && label) {
+					state = 'body';
+				}
+				if (state === 'header') return;
+			}
+			const values = {};
+			columns.forEach((c, i) => { if (rest[i]) values[c] = rest[i]; });
+			const hasValues = Object.keys(values).length > 0;
+			if (label && !hasValues) {
+				notes.push(label);
+				if (/t statistics in parentheses/i.test(label) && warnings) {
+					warnings.push(warning('esttabTStatistics'));
+				}
+				return;
+			}
+			const metric = normalizeMetric(label);
+			if (label && (state === 'summary' || metric !== label || /^(N|r2.*|F|ll|aic|bic)$/i.test(label))) {
+				state = 'summary';
+				summary.push({ metric, values });
+				return;
+			}
+			if (label) {
+				addCoefficient(coefficients, label, values);
+			} else if (coefficients.length) {
+				Object.assign(coefficients[coefficients.length - 1].errors, values);
+			}
+		});
+
+		if (!columns.length) return [];
+		return splitByDependent(dvByColumn, columns, coefficients, summary, notes.join('; '));
+	}
+
+	// ---- Entry point ----
+	// Warnings are { code, params, message }: message is the English text for the command line, and the
+	// page translates code and params instead
+	const WARNING_MESSAGES = {
+		esttabTStatistics: 'esttab output reports t statistics in parentheses; re-export with the "se" option to import standard errors',
+		noTable: 'No regression table found in {file}',
+		noDependentVariable: '{file}: table {number} has no dependent variable name'
+	};
+
+	function warning(code, params) {
+		const message = WARNING_MESSAGES[code].replace(/\{(\w+)\}/g, (match, name) => (params && name in params ? params[name] : match));
+		return { code, params: params || {}, message };
+	}
+
+	function detectFormat(text, fileName) {
+		const name = String(fileName || '').toLowerCase();
+		if (/\.tex$/.test(name) || /\\begin\{tabular\}/.test(text)) return 'latex';
+		if (/\.(csv|tsv)$/.test(name)) return 'esttab';
+		if (/^\s*={3,}\s*$/m.test(text)) return 'text';
+		return 'esttab';
+	}
+
+	function importRegressionOutput(text, fileName) {
+		const warnings = [];
+		const format = detectFormat(text, fileName);
+		let tables;
+		if (format === 'latex') tables = parseStargazerLatex(text);
+		else if (format === 'text') tables = parseStargazerText(text);
+		else tables = parseEsttabCsv(text, warnings);
+		const file = fileName || 'input';
+		if (!tables.length) warnings.push(warning('noTable', { file }));
+		tables.forEach((t, i) => {
+			if (!t.dependentVariable) warnings.push(warning('noDependentVariable', { file, number: i + 1 }));
+		});
+		return { format, tables, warnings };
+	}
+
+	// ---- Data file output ----
+	function inlineJson(value) {
+		if (Array.isArray(value)) return `[${value.map(inlineJson).join(', ')}]`;
+		if (value && typeof value === 'object') {
+			const entries = Object.keys(value).map(k => `${JSON.stringify(k)}: ${inlineJson(value[k])}`);
+			return entries.length ? `{ ${entries.join(', ')} }` : '{}';
+		}
+		return JSON.stringify(value);
+	}
+
+	// Writes tables in the layout of UI_Regression_Results_data.js: one line per row, "// Table N" markers
+	function serializeTablesData(tables) {
+		const keyOrder = ['dependentVariable', 'meta', 'data', 'summary', 'notes'];
+		const blocks = tables.map((t, idx) => {
+			const keys = [...keyOrder.filter(k => k in t), ...Object.keys(t).filter(k => !keyOrder.includes(k))];
+			const fields = keys.map(k => {
+				if (k === 'data' || k === 'summary') {
+					const rows = (t[k] || []).map(r => `      ${inlineJson(r)}`);
+					return `    ${JSON.stringify(k)}: [\n${rows.join(',\n')}\n    ]`;
+				}
+				return `    ${JSON.stringify(k)}: ${inlineJson(t[k])}`;
+			});
+			return `  // Table ${idx + 1}\n  {\n${fields.join(',\n')}\n  }`;
+		});
+		return `const tablesData = [\n${blocks.join(',\n')}\n];`;
+	}
+
+	// Reads the tables back from a file written by serializeTablesData. Only the "// Table N" marker
+	// lines are comments, so dropping them leaves a JSON array.
+	function parseTablesDataFile(text) {
+		const body = String(text || '').split(/\r?\n/).filter(line => !/^\s*\/\//.test(line)).join('\n');
+		const start = body.indexOf('[');
+		const end = body.lastIndexOf(']');
+		if (start < 0 || end < start) throw new Error('no tablesData array found');
+		const tables = JSON.parse(body.slice(start, end + 1));
+		if (!Array.isArray(tables)) throw new Error('no tablesData array found');
+		return tables;
+	}
+
+	const RegressionImport = {
+		parseStargazerText,
+		parseStargazerLatex,
+		parseEsttabCsv,
+		detectFormat,
+		importRegressionOutput,
+		serializeTablesData,
+		parseTablesDataFile
+	};
+
+	if (typeof module !== 'undefined' && module.exports) {
+		module.exports = RegressionImport;
+	} else {
+		root.RegressionImport = RegressionImport;
+	}
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,65 @@
+// UI_Regression_Results_labels.js
+// Publication labels for the regression variables, grouped into the row sections of the table.
+// Groups and the variables inside them are listed in display order; variables missing here keep
+// their raw names and go last, under "Other". Names are matched case-insensitively after
+// normalizeVarName, so `Wealth_at_end(fit)` is listed as Wealth_at_end(fit). "money": true marks
+// variables measured in yen, the only ones the panel offers to show per 1,000 or 10,000 yen.
+
+const variableDictionary = {
+  "groups": [
+    {
+      "id": "instruments",
+      "label": "Instrumental variables",
+      "labelJa": "操作変数",
+      "variables": [
+        { "name": "Wealth_at_end(fit)", "label": "Wealth at end (fitted)", "labelJa": "期末資産（予測値）", "money": true },
+        { "name": "amount_scp", "label": "SCP amount", "labelJa": "SCP金額", "money": true },
+        { "name": "amount_lottery_in", "label": "Lottery amount (in)", "labelJa": "宝くじ金額（in）", "money": true },
+        { "name": "amount_lottery_out", "label": "Lottery amount (out)", "labelJa": "宝くじ金額（out）", "money": true }
+      ]
+    },
+    {
+      "id": "ui",
+      "label": "UI measures",
+      "labelJa": "失業給付",
+      "variables": [
+        { "name": "Duration_UI_before", "label": "Prior UI duration", "labelJa": "過去の失業給付期間" },
+        { "name": "Average_monthly_UI_before", "label": "Average monthly UI", "labelJa": "平均月額失業給付", "money": true },
+        { "name": "Average_monthly_UI_before_log", "label": "Average monthly UI (log)", "labelJa": "平均月額失業給付（対数）" },
+        { "name": "median_daily_ui", "label": "Median daily UI", "labelJa": "日額失業給付の中央値", "money": true },
+        { "name": "median_daily_ui_log", "label": "Median daily UI (log)", "labelJa": "日額失業給付の中央値（対数）" },
+        { "name": "UI_group1", "label": "UI group 1", "labelJa": "失業給付グループ1" },
+        { "name": "UI_group2", "label": "UI group 2", "labelJa": "失業給付グループ2" },
+        { "name": "UI_group3", "label": "UI group 3", "labelJa": "失業給付グループ3" }
+      ]
+    },
+    {
+      "id": "wealth",
+      "label": "Wealth",
+      "labelJa": "資産",
+      "variables": [
+        { "name": "Wealth_at_end", "label": "Wealth at end", "labelJa": "期末資産", "money": true }
+      ]
+    },
+    {
+      "id": "earnings",
+      "label": "Earnings history",
+      "labelJa": "過去の賃金",
+      "variables": [
+        { "name": "Run_mean_lagged_salary", "label": "Mean lagged salary", "labelJa": "過去の平均賃金", "money": true }
+      ]
+    },
+    {
+      "id": "demographics",
+      "label": "Demographics",
+      "labelJa": "属性",
+      "variables": [
+        { "name": "Age", "label": "Age", "labelJa": "年齢" },
+        { "name": "sex2", "label": "Sex (= 2)", "labelJa": "性別（= 2）" },
+        { "name": "Age2", "label": "Age²", "labelJa": "年齢の2乗" },
+        { "name": "Age:sex2", "label": "Age × sex (= 2)", "labelJa": "年齢 × 性別（= 2）" }
+      ]
+    }
+  ],
+  "other": { "id": "other", "label": "Other", "labelJa": "その他" }
+};
@@ -0,0 +1,453 @@
+// UI_Regression_Results_model.js
+// Normalizes the stargazer-style rows in tablesData into variable → column → coefficient cells
+
+(function(root) {
+	// ---- Helpers ----
+	function normalizeVarName(name) {
+		return String(name || '').replace(/[`]/g, '').trim();
+	}
+
+	function hasValue(cell) {
+		return cell !== undefined && cell !== null && String(cell).trim() !== '';
+	}
+
+	function isStdErrorText(text) {
+		return /^\(.*\)$/.test(String(text || '').trim());
+	}
+
+	// "-0.011***" -> { text, estimate: -0.011, stars: '***' }
+	function parseCoefficient(text) {
+		const raw = String(text || '').trim();
+		const stars = (raw.match(/\*+$/) || [''])[0];
+		const num = parseFloat(raw.slice(0, raw.length - stars.length));
+		return { text: raw, estimate: isNaN(num) ? null : num, stars };
+	}
+
+	// "(0.002)" -> { text, value: 0.002 }
+	function parseStdError(text) {
+		const raw = String(text || '').trim();
+		const num = parseFloat(raw.replace(/[()]/g, ''));
+		return { text: raw, value: isNaN(num) ? null : num };
+	}
+
+	// Column keys in order of first appearance, e.g. ['(1)', '(2)', ..., '(6)']
+	function collectColumnKeys(rows, ignored) {
+		const keys = [];
+		(rows || []).forEach(row => {
+			Object.keys(row).forEach(key => {
+				if (!ignored.includes(key) && !keys.includes(key)) keys.push(key);
+			});
+		});
+		return keys;
+	}
+
+	// A named data row may carry "raw": { colKey: { estimate, se } } with the full-precision numbers behind
+	// the printed strings; they replace the parsed values in calculations while the strings stay for display
+	const ROW_KEYS = ['variable', 'raw'];
+
+	function rawFor(row, colKey) {
+		const raw = row.raw && row.raw[colKey];
+		return raw && typeof raw === 'object' ? raw : null;
+	}
+
+	function isNumber(value) {
+		return typeof value === 'number' && isFinite(value);
+	}
+
+	// Legacy summary rows use value, value2, value3, ... positionally; newer rows use the column keys themselves
+	const LEGACY_SUMMARY_KEY = /^value(\d*)$/;
+
+	function normalizeSummary(summary, columns) {
+		return (summary || []).map(row => {
+			const values = {};
+			Object.keys(row).forEach(key => {
+				if (key === 'metric') return;
+				const legacy = key.match(LEGACY_SUMMARY_KEY);
+				const colKey = legacy ? columns[(legacy[1] ? parseInt(legacy[1], 10) : 1) - 1] : key;
+				if (colKey && hasValue(row[key])) values[colKey] = String(row[key]).trim();
+			});
+			return { metric: String(row.metric || '').trim(), values };
+		});
+	}
+
+	// ---- Inference ----
+	// Two-sided p-values and intervals from estimate / SE. A column's residual df selects the t distribution;
+	// without one the normal approximation is used.
+	function normalCdf(x) {
+		// Abramowitz & Stegun 7.1.26, absolute error below 1.5e-7
+		const z = Math.abs(x) / Math.SQRT2;
+		const t = 1 / (1 + 0.3275911 * z);
+		const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-z * z);
+		return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+	}
+
+	function logGamma(x) {
+		// Lanczos approximation (g = 7)
+		const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61503916999185,
+			12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+		if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+		x -= 1;
+		let a = c[0];
+		const t = x + 7.5;
+		for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+		return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+	}
+
+	// Continued fraction for the regularized incomplete beta function (Numerical Recipes betacf)
+	function betaContinuedFraction(x, a, b) {
+		const tiny = 1e-300;
+		let c = 1;
+		let d = 1 - (a + b) * x / (a + 1);
+		if (Math.abs(d) < tiny) d = tiny;
+		d = 1 / d;
+		let h = d;
+		for (let m = 1; m <= 1000; m++) {
+			const m2 = 2 * m;
+			let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+			d = 1 + aa * d;
+			if (Math.abs(d) < tiny) d = tiny;
+			c = 1 + aa / c;
+			if (Math.abs(c) < tiny) c = tiny;
+			d = 1 / d;
+			h *= d * c;
+			aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+			d = 1 + aa * d;
+			if (Math.abs(d) < tiny) d = tiny;
+			c = 1 + aa / c;
+			if (Math.abs(c) < tiny) c = tiny;
+			d = 1 / d;
+			const del = d * c;
+			h *= del;
+			if (Math.abs(del - 1) < 1e-12) break;
+		}
+		return h;
+	}
+
+	function incompleteBeta(x, a, b) {
+		if (x <= 0) return 0;
+		if (x >= 1) return 1;
+		const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+		if (x < (a + 1) / (a + b + 2)) return front * betaContinuedFraction(x, a, b) / a;
+		return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+	}
+
+	// P(|T| >= |stat|) for T ~ t(df), or standard normal when df is missing
+	function twoSidedPValue(stat, df) {
+		if (stat === null || !isFinite(stat)) return null;
+		if (!df) return 2 * (1 - normalCdf(Math.abs(stat)));
+		return incompleteBeta(df / (df + stat * stat), df / 2, 0.5);
+	}
+
+	// Critical value c with P(|T| >= c) = 1 - level, found by bisection
+	function criticalValue(level, df) {
+		let lo = 0;
+		let hi = 50;
+		for (let i = 0; i < 100; i++) {
+			const mid = (lo + hi) / 2;
+			if (twoSidedPValue(mid, df) > 1 - level) lo = mid;
+			else hi = mid;
+		}
+		return (lo + hi) / 2;
+	}
+
+	// thresholds such as [0.1, 0.05, 0.01] -> one star per threshold the p-value falls below
+	function starsForPValue(pValue, thresholds) {
+		if (pValue === null || pValue === undefined) return null;
+		return '*'.repeat(thresholds.filter(t => pValue < t).length);
+	}
+
+	// "0.785 (df = 63339)" -> 63339
+	function residualDf(summary, colKey) {
+		const row = (summary || []).find(s => s.metric.toLowerCase().includes('residual std. error'));
+		const match = row && String(row.values[colKey] || '').match(/df\s*=\s*([\d,]+)/i);
+		return match ? parseInt(match[1].replace(/,/g, ''), 10) : null;
+	}
+
+	// [lower, upper] at the given level (e.g. 0.95), or null without an estimate and a positive SE
+	function confidenceInterval(cell, level) {
+		if (!cell || cell.estimate === null || !(cell.stdError > 0)) return null;
+		const half = criticalValue(level, cell.df) * cell.stdError;
+		return [cell.estimate - half, cell.estimate + half];
+	}
+
+	// ---- Table model ----
+	function buildTableModel(table) {
+		const variables = [];
+		const cells = {};
+		let current = null;
+		let currentRow = null;
+		const columns = collectColumnKeys(table.data, ROW_KEYS);
+		collectColumnKeys(table.summary, ['metric']).forEach(key => {
+			if (!LEGACY_SUMMARY_KEY.test(key) && !columns.includes(key)) columns.push(key);
+		});
+
+		(table.data || []).forEach(row => {
+			const name = normalizeVarName(row.variable);
+			if (name) {
+				// Named row: one coefficient per column. The first occurrence of a variable wins.
+				if (!cells[name]) {
+					cells[name] = {};
+					variables.push(name);
+				}
+				current = name;
+				currentRow = row;
+				Object.keys(row).forEach(colKey => {
+					if (ROW_KEYS.includes(colKey) || !hasValue(row[colKey]) || cells[name][colKey]) return;
+					const coef = parseCoefficient(row[colKey]);
+					const raw = rawFor(row, colKey);
+					cells[name][colKey] = {
+						text: coef.text,
+						estimate: raw && isNumber(raw.estimate) ? raw.estimate : coef.estimate,
+						estimatePrecise: !!(raw && isNumber(raw.estimate)),
+						stars: coef.stars,
+						seText: '',
+						stdError: null,
+						sePrecise: false,
+						df: null,
+						tStat: null,
+						pValue: null
+					};
+				});
+				return;
+			}
+			if (!current) return;
+			// Unnamed rows hold the standard errors of the preceding variable; blank spacers carry nothing
+			Object.keys(row).forEach(colKey => {
+				if (colKey === 'variable' || !isStdErrorText(row[colKey])) return;
+				const cell = cells[current][colKey];
+				if (!cell || cell.seText) return;
+				const se = parseStdError(row[colKey]);
+				const raw = rawFor(currentRow, colKey);
+				cell.seText = se.text;
+				cell.stdError = raw && isNumber(raw.se) ? raw.se : se.value;
+				cell.sePrecise = !!(raw && isNumber(raw.se));
+			});
+		});
+
+		// t and p per coefficient; a printed SE of 0 (e.g. "(0.00000)") leaves them unknown
+		const summary = normalizeSummary(table.summary, columns);
+		variables.forEach(name => {
+			Object.keys(cells[name]).forEach(colKey => {
+				const cell = cells[name][colKey];
+				cell.df = residualDf(summary, colKey);
+				if (cell.estimate === null || !(cell.stdError > 0)) return;
+				cell.tStat = cell.estimate / cell.stdError;
+				cell.pValue = twoSidedPValue(cell.tStat, cell.df);
+			});
+		});
+
+		return {
+			dependentVariable: table.dependentVariable,
+			columns,
+			variables,
+			cells,
+			summary,
+			notes: table.notes || ''
+		};
+	}
+
+	function getCell(model, variable, colKey) {
+		const byColumn = model.cells[normalizeVarName(variable)];
+		return (byColumn && byColumn[colKey]) || null;
+	}
+
+	// test receives the lower-cased metric name, e.g. m => m.startsWith('r^2')
+	function getSummaryValue(model, test, colKey) {
+		const row = model.summary.find(s => s.metric && test(s.metric.toLowerCase()));
+		return (row && row.values[colKey]) || '';
+	}
+
+	function hasCoefficient(model, variable, colKey) {
+		const byColumn = model.cells[normalizeVarName(variable)];
+		if (!byColumn) return false;
+		return colKey ? !!byColumn[colKey] : Object.keys(byColumn).length > 0;
+	}
+
+	// ---- Validation ----
+	// Reports structural problems that buildTableModel would otherwise drop silently.
+	// Each problem is { table, variable, column, code, params, message } with a 1-based table number;
+	// message is the English text from PROBLEM_MESSAGES, and the page translates code and params instead.
+	const PROBLEM_MESSAGES = {
+		notArray: 'tablesData is not an array',
+		notObject: 'entry is not an object',
+		noDependentVariable: 'missing dependentVariable',
+		noData: 'missing data array',
+		noStdError: 'coefficient has no standard error row',
+		rawNotObject: 'raw is not an object keyed by column',
+		rawWithoutCoefficient: 'raw values for a column without a coefficient',
+		rawEntryNotObject: 'raw entry is not an { estimate, se } object',
+		rawNotNumber: 'raw {field} is not a number',
+		rawEstimateRounding: 'raw estimate {raw} does not round to the printed "{printed}"',
+		rawSeRounding: 'raw se {raw} does not round to the printed "{printed}"',
+		duplicateVariable: 'duplicate variable in the same table',
+		stdErrorOnCoefficientRow: 'standard error "{text}" on the coefficient row',
+		starsOnNonNumeric: 'stars on a non-numeric estimate "{text}"',
+		nonNumericEstimate: 'non-numeric estimate "{text}"',
+		unlabelledValue: 'unlabelled value "{text}" is neither blank nor a standard error',
+		stdErrorBeforeVariable: 'standard error "{text}" before any variable',
+		stdErrorWithoutCoefficient: 'standard error "{text}" without a coefficient',
+		secondStdError: 'second standard error "{text}" for the same coefficient',
+		nonNumericStdError: 'non-numeric standard error "{text}"',
+		summaryNoMetric: 'summary row {row} has no metric name',
+		summaryBeyondLastColumn: 'summary value beyond the last column',
+		summaryMissing: 'summary value missing',
+		summaryWithoutCoefficients: 'summary value for a column without coefficients'
+	};
+
+	function problem(table, variable, column, code, params) {
+		const message = PROBLEM_MESSAGES[code].replace(/\{(\w+)\}/g, (match, name) => (params && name in params ? params[name] : match));
+		return { table, variable: variable || '', column: column || '', code, params: params || {}, message };
+	}
+
+	function validateTable(table, tableNumber) {
+		const problems = [];
+		const report = (variable, column, code, params) => problems.push(problem(tableNumber, variable, column, code, params));
+
+		if (!table || typeof table !== 'object') {
+			report('', '', 'notObject');
+			return problems;
+		}
+		if (!hasValue(table.dependentVariable)) report('', '', 'noDependentVariable');
+		if (!Array.isArray(table.data)) {
+			report('', '', 'noData');
+			return problems;
+		}
+
+		const seen = new Set();
+		const coefColumns = new Set();
+		let current = null;
+		let currentCells = {};
+		let seFilled = {};
+		let currentRow = null;
+		const closeVariable = () => {
+			if (!current) return;
+			Object.keys(currentCells).forEach(colKey => {
+				if (!seFilled[colKey]) report(current, colKey, 'noStdError');
+			});
+		};
+
+		// raw values must be numbers that round to the printed strings
+		const validateRaw = (name, row) => {
+			if (row.raw === undefined) return;
+			if (!row.raw || typeof row.raw !== 'object') {
+				report(name, '', 'rawNotObject');
+				return;
+			}
+			Object.keys(row.raw).forEach(colKey => {
+				const raw = rawFor(row, colKey);
+				if (!hasValue(row[colKey])) report(name, colKey, 'rawWithoutCoefficient');
+				if (!raw) return report(name, colKey, 'rawEntryNotObject');
+				['estimate', 'se'].forEach(field => {
+					if (raw[field] !== undefined && !isNumber(raw[field])) report(name, colKey, 'rawNotNumber', { field });
+				});
+				if (isNumber(raw.estimate) && hasValue(row[colKey]) && !roundsTo(raw.estimate, parseCoefficient(row[colKey]).text)) {
+					report(name, colKey, 'rawEstimateRounding', { raw: raw.estimate, printed: row[colKey] });
+				}
+			});
+		};
+
+		table.data.forEach(row => {
+			const name = normalizeVarName(row.variable);
+			if (name) {
+				closeVariable();
+				if (seen.has(name)) report(name, '', 'duplicateVariable');
+				seen.add(name);
+				current = name;
+				currentCells = {};
+				seFilled = {};
+				currentRow = row;
+				validateRaw(name, row);
+				Object.keys(row).forEach(colKey => {
+					if (ROW_KEYS.includes(colKey) || !hasValue(row[colKey])) return;
+					const coef = parseCoefficient(row[colKey]);
+					if (isStdErrorText(row[colKey])) report(name, colKey, 'stdErrorOnCoefficientRow', { text: coef.text });
+					else if (coef.estimate === null && coef.stars) report(name, colKey, 'starsOnNonNumeric', { text: coef.text });
+					else if (coef.estimate === null) report(name, colKey, 'nonNumericEstimate', { text: coef.text });
+					currentCells[colKey] = true;
+					coefColumns.add(colKey);
+				});
+				return;
+			}
+			Object.keys(row).forEach(colKey => {
+				if (ROW_KEYS.includes(colKey) || !hasValue(row[colKey])) return;
+				const text = String(row[colKey]).trim();
+				if (!isStdErrorText(text)) {
+					report(current, colKey, 'unlabelledValue', { text });
+				} else if (!current) {
+					report('', colKey, 'stdErrorBeforeVariable', { text });
+				} else if (!currentCells[colKey]) {
+					report(current, colKey, 'stdErrorWithoutCoefficient', { text });
+				} else if (seFilled[colKey]) {
+					report(current, colKey, 'secondStdError', { text });
+				} else {
+					const se = parseStdError(text);
+					const raw = rawFor(currentRow, colKey);
+					if (se.value === null) report(current, colKey, 'nonNumericStdError', { text });
+					else if (raw && isNumber(raw.se) && !roundsTo(raw.se, se.text)) report(current, colKey, 'rawSeRounding', { raw: raw.se, printed: text });
+					seFilled[colKey] = true;
+				}
+			});
+		});
+		closeVariable();
+
+		// Summary rows must cover every column that reports coefficients
+		const model = buildTableModel(table);
+		(table.summary || []).forEach((row, i) => {
+			const metric = String(row.metric || '').trim();
+			if (!metric) report('', '', 'summaryNoMetric', { row: i + 1 });
+			const values = model.summary[i].values;
+			Object.keys(row).forEach(key => {
+				const legacy = key.match(LEGACY_SUMMARY_KEY);
+				const position = legacy ? (legacy[1] ? parseInt(legacy[1], 10) : 1) : 0;
+				if (position > model.columns.length && hasValue(row[key])) report(metric, key, 'summaryBeyondLastColumn');
+			});
+			coefColumns.forEach(colKey => {
+				if (!values[colKey]) report(metric, colKey, 'summaryMissing');
+			});
+			Object.keys(values).forEach(colKey => {
+				if (!coefColumns.has(colKey)) report(metric, colKey, 'summaryWithoutCoefficients');
+			});
+		});
+		return problems;
+	}
+
+	// Does value, rounded to the decimals of the printed text ("-0.011***", "(0.002)"), give that text's number?
+	function roundsTo(value, printed) {
+		const number = String(printed).replace(/[()*\s]/g, '');
+		const decimals = (number.split('.')[1] || '').length;
+		return Math.abs(value - parseFloat(number)) <= 0.5 * Math.pow(10, -decimals) + 1e-12;
+	}
+
+	function validateTablesData(tables) {
+		if (!Array.isArray(tables)) return [problem(0, '', '', 'notArray')];
+		return tables.flatMap((t, idx) => validateTable(t, idx + 1));
+	}
+
+	function formatProblem(p) {
+		return [`Table ${p.table}`, p.variable, p.column].filter(Boolean).join(' · ') + `: ${p.message}`;
+	}
+
+	const RegressionModel = {
+		normalizeVarName,
+		hasValue,
+		parseCoefficient,
+		parseStdError,
+		buildTableModel,
+		getCell,
+		getSummaryValue,
+		hasCoefficient,
+		twoSidedPValue,
+		criticalValue,
+		confidenceInterval,
+		starsForPValue,
+		validateTable,
+		validateTablesData,
+		formatProblem
+	};
+
+	if (typeof module !== 'undefined' && module.exports) {
+		module.exports = RegressionModel;
+	} else {
+		root.RegressionModel = RegressionModel;
+	}
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,203 @@
+// UI_Regression_Results_plots.js
+// Draws coefficient (forest) plots and specification curves as inline SVG; no external services
+
+(function(root) {
+	// ---- Helpers ----
+	// Same palette as getCoefficientColor: red positive, green negative, faded when not significant
+	const COLORS = { positive: 'rgb(255, 0, 0)', negative: 'rgb(0, 128, 0)', axis: '#adb5bd', text: '#495057', muted: '#6c757d' };
+
+	function escapeXml(text) {
+		return String(text === undefined || text === null ? '' : text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[ch]);
+	}
+
+	// About five round tick values covering [lo, hi]
+	function niceTicks(lo, hi) {
+		const span = hi - lo || Math.abs(hi) || 1;
+		const raw = span / 5;
+		const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+		const step = [1, 2, 5, 10].map(m => m * mag).find(s => s >= raw);
+		const ticks = [];
+		for (let t = Math.ceil(lo / step) * step; t <= hi + step * 1e-9; t += step) ticks.push(Number(t.toPrecision(12)));
+		return ticks;
+	}
+
+	function formatTick(value) {
+		return Math.abs(value) < 1e-12 ? '0' : String(Number(value.toPrecision(4)));
+	}
+
+	// Interval for one cell, or null when the estimate or its SE is missing. Cells carrying a ci
+	// (computed with the column's residual df) use it; otherwise estimate ± z·SE.
+	function intervalFor(cell, z) {
+		if (cell && cell.ci !== undefined) return cell.ci && { estimate: cell.estimate, lo: cell.ci[0], hi: cell.ci[1] };
+		if (!cell || cell.estimate === null || cell.estimate === undefined || cell.stdError === null || cell.stdError === undefined) return null;
+		return { estimate: cell.estimate, lo: cell.estimate - z * cell.stdError, hi: cell.estimate + z * cell.stdError };
+	}
+
+	// ---- Forest plot ----
+	// One SVG per variable: a row per rendered column, grouped under headers built from all but the
+	// last header label (DV • UI measure), with the last label (control set) naming the row.
+	// options: { z, levelLabel, width, axisLabel, ariaLabel, noStdErrorLabel, missingLabel }; the labels let the page translate them
+	function toForestSvg(view, variable, options) {
+		const opts = { z: 1.959964, levelLabel: '95%', width: 760, noStdErrorLabel: 'no usable standard error', missingLabel: 'not in this column', ...(options || {}) };
+		const axisLabel = opts.axisLabel || `Estimate with ${opts.levelLabel} confidence interval`;
+		const ariaLabel = opts.ariaLabel || `${variable}: estimates with ${opts.levelLabel} confidence intervals`;
+		const row = view.rows.find(r => r.variable === variable);
+		const cells = row ? row.cells : view.columns.map(() => null);
+		const intervals = cells.map(cell => intervalFor(cell, opts.z));
+
+		const items = [];
+		let lastGroup = null;
+		view.columns.forEach((col, i) => {
+			const labels = col.labels.filter(Boolean);
+			const group = labels.slice(0, -1).join(' • ');
+			if (group !== lastGroup) {
+				items.push({ type: 'group', text: group });
+				lastGroup = group;
+			}
+			items.push({ type: 'row', text: `(${i + 1}) ${labels[labels.length - 1] || ''}`, cell: cells[i], interval: intervals[i] });
+		});
+
+		const rowHeight = 22;
+		const top = 10;
+		const axisHeight = 34;
+		const labelWidth = 300;
+		const right = 20;
+		const plotLeft = labelWidth + 10;
+		const plotWidth = opts.width - plotLeft - right;
+		const height = top + items.length * rowHeight + axisHeight;
+
+		const present = intervals.filter(Boolean);
+		let lo = Math.min(0, ...present.map(iv => iv.lo));
+		let hi = Math.max(0, ...present.map(iv => iv.hi));
+		if (lo === hi) { lo -= 1; hi += 1; }
+		const pad = (hi - lo) * 0.05;
+		lo -= pad;
+		hi += pad;
+		const x = v => plotLeft + ((v - lo) / (hi - lo)) * plotWidth;
+		const axisY = top + items.length * rowHeight;
+
+		const out = [];
+		out.push(`<svg xmlns="http://www.w3.org/2000/svg" class="forest-plot" viewBox="0 0 ${opts.width} ${height}" width="100%" role="img" aria-label="${escapeXml(ariaLabel)}">`);
+		niceTicks(lo, hi).forEach(t => {
+			out.push(`<line x1="${x(t)}" y1="${top}" x2="${x(t)}" y2="${axisY}" stroke="${COLORS.axis}" stroke-opacity="0.35"/>`);
+			out.push(`<text x="${x(t)}" y="${axisY + 14}" font-size="11" text-anchor="middle" fill="${COLORS.muted}">${escapeXml(formatTick(t))}</text>`);
+		});
+		out.push(`<line x1="${x(0)}" y1="${top}" x2="${x(0)}" y2="${axisY}" stroke="${COLORS.text}" stroke-dasharray="4 3"/>`);
+		out.push(`<line x1="${plotLeft}" y1="${axisY}" x2="${plotLeft + plotWidth}" y2="${axisY}" stroke="${COLORS.axis}"/>`);
+		out.push(`<text x="${plotLeft + plotWidth / 2}" y="${axisY + 30}" font-size="11" text-anchor="middle" fill="${COLORS.muted}">${escapeXml(axisLabel)}</text>`);
+
+		items.forEach((item, i) => {
+			const y = top + i * rowHeight + rowHeight / 2;
+			if (item.type === 'group') {
+				out.push(`<text x="4" y="${y + 4}" font-size="12" font-weight="600" fill="${COLORS.text}">${escapeXml(item.text)}</text>`);
+				return;
+			}
+			out.push(`<text x="16" y="${y + 4}" font-size="12" fill="${COLORS.text}">${escapeXml(item.text)}</text>`);
+			if (!item.interval) {
+				out.push(`<text x="${plotLeft + 4}" y="${y + 4}" font-size="11" font-style="italic" fill="${COLORS.muted}">${escapeXml(item.cell ? opts.noStdErrorLabel : opts.missingLabel)}</text>`);
+				return;
+			}
+			const { estimate, lo: ciLo, hi: ciHi } = item.interval;
+			const color = estimate >= 0 ? COLORS.positive : COLORS.negative;
+			const significant = !!item.cell.stars;
+			const opacity = significant ? 1 : 0.6;
+			const title = `${item.cell.value}${item.cell.stars} [${formatTick(ciLo)}, ${formatTick(ciHi)}]`;
+			out.push(`<g stroke="${color}" fill="${significant ? color : 'white'}" stroke-opacity="${opacity}" fill-opacity="${opacity}"><title>${escapeXml(title)}</title>`);
+			out.push(`<line x1="${x(ciLo)}" y1="${y}" x2="${x(ciHi)}" y2="${y}" stroke-width="2"/>`);
+			out.push(`<line x1="${x(ciLo)}" y1="${y - 4}" x2="${x(ciLo)}" y2="${y + 4}" stroke-width="2"/>`);
+			out.push(`<line x1="${x(ciHi)}" y1="${y - 4}" x2="${x(ciHi)}" y2="${y + 4}" stroke-width="2"/>`);
+			out.push(`<circle cx="${x(estimate)}" cy="${y}" r="4.5" stroke-width="2"/>`);
+			out.push('</g>');
+		});
+		out.push('</svg>');
+		return out.join('');
+	}
+
+	// ---- Specification curve ----
+	// One estimate per specification in the order given (the page sorts them), CIs on top, and below
+	// an indicator panel with a row per choice marking which specifications made it.
+	// curve: { points: [{ estimate, ci, significant, title, choices: { <dimension key>: value } }],
+	//          dimensions: [{ key, label, options: [{ value, label }] }] }
+	// options: { width, axisLabel }
+	function toSpecCurveSvg(curve, options) {
+		const opts = { width: 760, axisLabel: 'Estimate with 95% confidence interval', ...(options || {}) };
+		const points = curve.points;
+		const rows = [];
+		curve.dimensions.forEach(dim => {
+			rows.push({ type: 'group', text: dim.label });
+			dim.options.forEach(option => rows.push({ type: 'row', text: option.label, key: dim.key, value: option.value }));
+		});
+
+		const top = 24;
+		const curveHeight = 220;
+		const gap = 18;
+		const rowHeight = 14;
+		const labelWidth = 270;
+		const right = 20;
+		const plotLeft = labelWidth + 10;
+		const plotWidth = opts.width - plotLeft - right;
+		const indicatorTop = top + curveHeight + gap;
+		const height = indicatorTop + rows.length * rowHeight + 6;
+		const step = plotWidth / Math.max(points.length, 1);
+		const px = i => plotLeft + step * (i + 0.5);
+		const marker = Math.max(1.5, Math.min(4, step * 0.35));
+
+		const spans = points.map(p => (p.ci ? { lo: p.ci[0], hi: p.ci[1] } : { lo: p.estimate, hi: p.estimate }));
+		let lo = Math.min(0, ...spans.map(iv => iv.lo));
+		let hi = Math.max(0, ...spans.map(iv => iv.hi));
+		if (lo === hi) { lo -= 1; hi += 1; }
+		const pad = (hi - lo) * 0.05;
+		lo -= pad;
+		hi += pad;
+		const y = v => top + (1 - (v - lo) / (hi - lo)) * curveHeight;
+		const style = p => {
+			const color = p.estimate >= 0 ? COLORS.positive : COLORS.negative;
+			const opacity = p.significant ? 1 : 0.6;
+			return `stroke="${color}" fill="${p.significant ? color : 'white'}" stroke-opacity="${opacity}" fill-opacity="${opacity}"`;
+		};
+
+		const out = [];
+		out.push(`<svg xmlns="http://www.w3.org/2000/svg" class="spec-curve" viewBox="0 0 ${opts.width} ${height}" width="100%" role="img" aria-label="${escapeXml(opts.axisLabel)}">`);
+		out.push(`<text x="${plotLeft}" y="${top - 10}" font-size="11" fill="${COLORS.muted}">${escapeXml(opts.axisLabel)}</text>`);
+		niceTicks(lo, hi).forEach(t => {
+			out.push(`<line x1="${plotLeft}" y1="${y(t)}" x2="${plotLeft + plotWidth}" y2="${y(t)}" stroke="${COLORS.axis}" stroke-opacity="0.35"/>`);
+			out.push(`<text x="${plotLeft - 6}" y="${y(t) + 4}" font-size="11" text-anchor="end" fill="${COLORS.muted}">${escapeXml(formatTick(t))}</text>`);
+		});
+		out.push(`<line x1="${plotLeft}" y1="${y(0)}" x2="${plotLeft + plotWidth}" y2="${y(0)}" stroke="${COLORS.text}" stroke-dasharray="4 3"/>`);
+
+		points.forEach((p, i) => {
+			out.push(`<g ${style(p)}><title>${escapeXml(p.title)}</title>`);
+			if (p.ci) out.push(`<line x1="${px(i)}" y1="${y(p.ci[0])}" x2="${px(i)}" y2="${y(p.ci[1])}" stroke-width="1.5"/>`);
+			out.push(`<circle cx="${px(i)}" cy="${y(p.estimate)}" r="${marker}" stroke-width="1.5"/>`);
+			out.push('</g>');
+		});
+
+		rows.forEach((row, r) => {
+			const rowY = indicatorTop + r * rowHeight + rowHeight / 2;
+			if (row.type === 'group') {
+				out.push(`<text x="4" y="${rowY + 4}" font-size="12" font-weight="600" fill="${COLORS.text}">${escapeXml(row.text)}</text>`);
+				return;
+			}
+			out.push(`<text x="16" y="${rowY + 4}" font-size="11" fill="${COLORS.text}">${escapeXml(row.text)}</text>`);
+			out.push(`<line x1="${plotLeft}" y1="${rowY}" x2="${plotLeft + plotWidth}" y2="${rowY}" stroke="${COLORS.axis}" stroke-opacity="0.25"/>`);
+			points.forEach((p, i) => {
+				if (p.choices[row.key] !== row.value) return;
+				out.push(`<rect x="${px(i) - marker}" y="${rowY - 4}" width="${marker * 2}" height="8" ${style(p)}/>`);
+			});
+		});
+		out.push('</svg>');
+		return out.join('');
+	}
+
+	const RegressionPlots = {
+		niceTicks,
+		toForestSvg,
+		toSpecCurveSvg
+	};
+
+	if (typeof module !== 'undefined' && module.exports) {
+		module.exports = RegressionPlots;
+	} else {
+		root.RegressionPlots = RegressionPlots;
+	}
+})(typeof window !== 'undefined' ? window : this);
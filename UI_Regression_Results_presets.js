@@ -0,0 +1,57 @@
+// UI_Regression_Results_presets.js
+// Named selections offered in the dashboard's Preset dropdown. A result bundle may carry its own
+// "presets" array in the same shape, which then replaces this list for that bundle.
+//
+//   { id, label, spec, dep, ui, controls, stage, sample }
+//
+// The lists hold the permalink values (dep: ['3m'], controls: ['include'], ...); a preset only
+// constrains the fields it names. Baseline presets name dep/ui/controls, IV presets stage/sample.
+
+const dashboardPresets = [
+  {
+    "id": "document-benchmark",
+    "label": "Document Benchmark",
+    "spec": "baseline",
+    "dep": ["3m"],
+    "ui": ["avg_ui_linear"],
+    "controls": ["include"]
+  },
+  {
+    "id": "control-robustness",
+    "label": "Robustness: age and gender controls",
+    "spec": "baseline",
+    "dep": ["3m"],
+    "ui": ["avg_ui_linear"],
+    "controls": ["exclude", "include", "interaction", "age2_control", "age2_interaction"]
+  },
+  {
+    "id": "ui-measure-robustness",
+    "label": "Robustness: UI size measures",
+    "spec": "baseline",
+    "dep": ["3m"],
+    "ui": ["avg_ui_linear", "avg_ui_log", "median_ui", "median_ui_log"],
+    "controls": ["include"]
+  },
+  {
+    "id": "outcome-robustness",
+    "label": "Robustness: 3- and 6-month outcomes",
+    "spec": "baseline",
+    "dep": ["3m", "3m_log", "6m", "6m_log"],
+    "ui": ["avg_ui_linear"],
+    "controls": ["include"]
+  },
+  {
+    "id": "iv-main",
+    "label": "IV main: second stage, whole data",
+    "spec": "iv",
+    "stage": ["second"],
+    "sample": ["whole"]
+  },
+  {
+    "id": "iv-all-samples",
+    "label": "IV: both stages, all samples",
+    "spec": "iv",
+    "stage": ["first", "second"],
+    "sample": ["whole", "lottery_scp", "lottery_only"]
+  }
+];
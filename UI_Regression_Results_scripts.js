@@ -1,15 +1,12 @@
 // new_scripts.js
-// Uses tablesData (from tablesData.js) to categorize and render tables by spec, DV, UI size, and age/gender controls
+// Categorizes and renders tables by spec, DV, UI size, and age/gender controls.
+// Tables come from result bundles loaded at runtime, or from the global tablesData (UI_Regression_Results_data.js)
+// Coefficients are read through RegressionModel (UI_Regression_Results_model.js), never from the raw rows
 
 (function() {
-	// ---- Helpers ----
-	function normalizeVarName(name) {
-		return String(name || '').replace(/[`]/g, '').trim();
-	}
+	const { normalizeVarName, buildTableModel, getCell, getSummaryValue, hasCoefficient, confidenceInterval, starsForPValue } = RegressionModel;
 
-	function hasValue(cell) {
-		return cell !== undefined && cell !== null && String(cell).trim() !== '';
-	}
+	// ---- Helpers ----
 
 	function classifyDependent(depVar) {
 		const v = String(depVar || '').toLowerCase();
@@ -21,7 +18,7 @@
 		return 'other';
 	}
 
-	function detectUiSize(table) {
+	function detectUiSize(model) {
 		// Look for specific UI size variables appearing with any non-empty coefficient
 		const uiVars = {
 			avg_ui_linear: ['Average_monthly_UI_before'],
@@ -30,16 +27,8 @@
 			median_ui_log: ['median_daily_ui_log']
 		};
 		const present = new Set();
-		(table.data || []).forEach(row => {
-			const varName = normalizeVarName(row.variable);
-			Object.entries(uiVars).forEach(([key, names]) => {
-				if (names.some(n => varName === n)) {
-					// If any column has a value for this var, mark present
-					if (hasValue(row['(1)']) || hasValue(row['(2)']) || hasValue(row['(3)'])) {
-						present.add(key);
-					}
-				}
-			});
+		Object.entries(uiVars).forEach(([key, names]) => {
+			if (names.some(n => hasCoefficient(model, n))) present.add(key);
 		});
 		// Prefer a single UI type; if multiple, choose a stable priority
 		const priority = ['avg_ui_linear', 'avg_ui_log', 'median_ui', 'median_ui_log'];
@@ -49,37 +38,44 @@
 		return null;
 	}
 
-	function isIvSecondStage(table) {
+	function isIvSecondStage(model) {
 		// Presence of Wealth_at_end(fit) indicates IV second stage
-		return (table.data || []).some(row => normalizeVarName(row.variable).toLowerCase().includes('wealth_at_end(fit)'.toLowerCase()));
+		return model.variables.some(v => v.toLowerCase().includes('wealth_at_end(fit)'));
 	}
 
-	function classifySpec(table) {
-		const dep = classifyDependent(table.dependentVariable);
+	function classifySpec(model) {
+		const dep = classifyDependent(model.dependentVariable);
 		if (dep === 'wealth') return 'iv'; // first stage
-		if (isIvSecondStage(table)) return 'iv';
+		if (isIvSecondStage(model)) return 'iv';
 		return 'baseline';
 	}
 
-	function getColumnsInTable(table) {
-		const keys = ['(1)', '(2)', '(3)'];
-		const present = [];
-		keys.forEach(k => {
-			// A column exists if at least one row has content in that column
-			const hasCol = (table.data || []).some(r => hasValue(r[k]));
-			if (hasCol) present.push(k);
-		});
-		return present;
+	function getColumnsInTable(model) {
+		// A column exists if at least one variable has a coefficient in that column
+		return model.columns.filter(k => model.variables.some(v => hasCoefficient(model, v, k)));
 	}
 
-	function getColumnControlType(table, colKey) {
+	const isObservations = m => m.includes('observations');
+	const isR2 = m => m.startsWith('r^2');
+	const isAdjR2 = m => m.includes('adjusted r^2');
+
+	// N, R2 and Adjusted R2 for one column, addressed by the same key as its coefficients
+	function getColumnSummary(model, colKey) {
+		return {
+			obsText: getSummaryValue(model, isObservations, colKey),
+			r2Text: getSummaryValue(model, isR2, colKey),
+			adjR2Text: getSummaryValue(model, isAdjR2, colKey)
+		};
+	}
+
+	function getColumnControlType(model, colKey) {
 		// Determine presence per column
 		let age = false, age2 = false, ageSex = false;
-		(table.data || []).forEach(row => {
-			const v = normalizeVarName(row.variable);
-			if (v === 'Age' && hasValue(row[colKey])) age = true;
-			if ((v === 'Age2' || v.toLowerCase() === 'age2') && hasValue(row[colKey])) age2 = true;
-			if ((v === 'Age:sex2' || v.toLowerCase() === 'age:sex2') && hasValue(row[colKey])) ageSex = true;
+		model.variables.forEach(v => {
+			if (!hasCoefficient(model, v, colKey)) return;
+			if (v === 'Age') age = true;
+			if (v.toLowerCase() === 'age2') age2 = true;
+			if (v.toLowerCase() === 'age:sex2') ageSex = true;
 		});
 		if (!age && !age2 && !ageSex) return 'exclude';
 		if (age && !age2 && !ageSex) return 'include';
@@ -90,36 +86,55 @@
 		return 'include';
 	}
 
-	function dvLabel(dep) {
-		switch (dep) {
-			case '3m': return '3-Month Salary Change Rate';
-			case '3m_log': return '3-Month Salary Change Rate (Log)';
-			case '6m': return '6-Month Salary Change Rate';
-			case '6m_log': return '6-Month Salary Change Rate (Log)';
-			case 'wealth': return 'Wealth at end (First Stage)';
-			default: return dep;
+	// ---- Language ----
+	// Messages come from RegressionI18n (UI_Regression_Results_i18n.js); the choice is kept in localStorage
+	const LANGUAGE_STORAGE_KEY = 'uiRegressionResults.language';
+
+	function initialLanguage() {
+		let stored = null;
+		try {
+			stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+		} catch (e) {
+			// Storage can be unavailable (private mode, file://); fall through to the browser language
 		}
+		if (stored && RegressionI18n.LANGUAGES[stored]) return stored;
+		return String(navigator.language || '').toLowerCase().startsWith('ja') ? 'ja' : 'en';
+	}
+
+	let language = initialLanguage();
+
+	function msg(key, params) {
+		return RegressionI18n.translate(language, key, params);
+	}
+
+	// Label for a code such as dv.6m_log; codes without a message show as themselves
+	function codeLabel(prefix, code, fallback) {
+		return RegressionI18n.hasMessage(language, `${prefix}.${code}`) ? msg(`${prefix}.${code}`) : fallback;
+	}
+
+	function formatNumber(value, digits) {
+		return RegressionI18n.formatNumber(language, value, digits);
+	}
+
+	function dvLabel(dep) {
+		return codeLabel('dv', dep, dep);
+	}
+
+	// The outcome alone, for IV headers that already name the stage; dv.wealth carries it for the baseline picker
+	function outcomeLabel(dep) {
+		return codeLabel('outcome', dep, dvLabel(dep));
 	}
 
 	function uiLabel(ui) {
-		switch (ui) {
-			case 'avg_ui_linear': return 'Average Monthly UI';
-			case 'avg_ui_log': return 'Average Monthly UI (Log)';
-			case 'median_ui': return 'Median Daily UI';
-			case 'median_ui_log': return 'Median Daily UI (Log)';
-			default: return '';
-		}
+		return codeLabel('ui', ui, '');
 	}
 
 	function controlLabel(key) {
-		switch (key) {
-			case 'exclude': return 'Exclude Age';
-			case 'include': return 'Include Age';
-			case 'interaction': return 'Age × Gender Interaction';
-			case 'age2_control': return 'Higher-order Age Control';
-			case 'age2_interaction': return 'Higher-order Age Control + Gender Interaction';
-			default: return key;
-		}
+		return codeLabel('control', key, key);
+	}
+
+	function escapeHtml(text) {
+		return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
 	}
 
 	function getCoefficientColor(coef, se) {
@@ -140,42 +155,50 @@
 		}
 	}
 
-	function getVariableOrder(isIv) {
-		// Define baseline basic order in normalized, lower-case names
-		const baselineOrder = [
-			'duration_ui_before',
-			'average_monthly_ui_before',
-			'average_monthly_ui_before_log',
-			'median_daily_ui_before',
-			'median_daily_ui_before_log',
-			'median_daily_ui',
-			'median_daily_ui_log',
-			'ui_group1',
-			'ui_group2',
-			'ui_group3',
-			'wealth_at_end',
-			'run_mean_lagged_salary',
-			'age',
-			'sex2',
-			'age2',
-			'age:sex2'
-		];
-		if (isIv) {
-			// IV order: IV-specific first, then baseline basic order
-			return [
-				'wealth_at_end(fit)',
-				'amount_scp',
-				'amount_lottery_in',
-				'amount_lottery_out',
-				...baselineOrder
-			];
-		} else {
-			return baselineOrder;
+	// ---- Variable labels ----
+	// Labels, row groups and row order all come from variableDictionary (UI_Regression_Results_labels.js)
+	function dictionaryGroups() {
+		return typeof variableDictionary !== 'undefined' && Array.isArray(variableDictionary.groups) ? variableDictionary.groups : [];
+	}
+
+	// Lower-cased normalized name -> { label, group }, in display order
+	let dictionaryIndex = null;
+	function variableEntries() {
+		if (!dictionaryIndex) {
+			dictionaryIndex = new Map();
+			dictionaryGroups().forEach(group => {
+				(group.variables || []).forEach(v => {
+					const key = normalizeVarName(v.name).toLowerCase();
+					if (!dictionaryIndex.has(key)) dictionaryIndex.set(key, { ...v, group });
+				});
+			});
 		}
+		return dictionaryIndex;
+	}
+
+	function variableLabel(varName) {
+		const entry = variableEntries().get(normalizeVarName(varName).toLowerCase());
+		return RegressionI18n.localizedLabel(language, entry) || varName;
+	}
+
+	// The row group a variable belongs to; unlisted variables fall under "Other" once a dictionary exists
+	function variableGroup(varName) {
+		const entry = variableEntries().get(normalizeVarName(varName).toLowerCase());
+		if (entry) return entry.group;
+		return dictionaryGroups().length ? (variableDictionary.other || { id: 'other', label: 'Other', labelJa: 'その他' }) : null;
+	}
+
+	function isMoneyVariable(varName) {
+		const entry = variableEntries().get(normalizeVarName(varName).toLowerCase());
+		return !!(entry && entry.money);
+	}
+
+	function getVariableOrder() {
+		return Array.from(variableEntries().keys());
 	}
 
-	function sortVariables(variables, isIv) {
-		const order = getVariableOrder(isIv);
+	function sortVariables(variables) {
+		const order = getVariableOrder();
 		const orderedVars = [];
 		const otherVars = [];
 
@@ -201,68 +224,349 @@
 		return [...orderedVars, ...otherVars];
 	}
 
+	// ---- Declared metadata ----
+	// A tablesData entry may carry an optional "meta" object:
+	//   { spec, stage, sample, ui, controls, scale }
+	// where sample and controls are either one value for the whole table or an object keyed by column,
+	// and scale maps a variable to the factor it is displayed at (see Variable scaling below).
+	// Declared values win; the content heuristics above are only the fallback.
+	function declaredFor(value, colKey) {
+		if (value && typeof value === 'object') return value[colKey];
+		return value;
+	}
+
+	function resolveMeta(tableId, what, declared, inferred) {
+		if (declared === undefined || declared === null || declared === '') return inferred;
+		if (inferred && inferred !== 'unknown' && inferred !== declared) {
+			console.warn(`Table ${tableId}: declared ${what} "${declared}" disagrees with inferred "${inferred}"`);
+		}
+		return declared;
+	}
+
 	// ---- Build index of all tables ----
-	const indexed = tablesData.map((t, idx) => {
-		const spec = classifySpec(t);
-		const dep = classifyDependent(t.dependentVariable);
-		const ui = detectUiSize(t);
-		const cols = getColumnsInTable(t);
+	function indexTables(tables) {
+		return tables.map(indexTable);
+	}
+
+	function indexTable(t, idx) {
+		const id = idx + 1;
+		const meta = t.meta || {};
+		const model = buildTableModel(t);
+		const spec = resolveMeta(id, 'spec', meta.spec, classifySpec(model));
+		const dep = classifyDependent(model.dependentVariable);
+		const ui = resolveMeta(id, 'UI measure', meta.ui, detectUiSize(model));
+		const stage = spec === 'iv' ? resolveMeta(id, 'stage', meta.stage, getIvStageFromDependent(dep)) : null;
+		const cols = getColumnsInTable(model);
 		const columnMeta = {};
-		cols.forEach(c => { columnMeta[c] = getColumnControlType(t, c); });
+		const columnSample = {};
+		cols.forEach(c => {
+			columnMeta[c] = resolveMeta(`${id} ${c}`, 'controls', declaredFor(meta.controls, c), getColumnControlType(model, c));
+			if (spec !== 'iv') return;
+			const obsText = getSummaryValue(model, isObservations, c);
+			columnSample[c] = resolveMeta(`${id} ${c}`, 'sample', declaredFor(meta.sample, c), getIvSampleFromObservations(obsText));
+			if (columnSample[c] === 'unknown') {
+				console.warn(`Table ${id} ${c}: IV sample not declared and N = ${obsText || '?'} matches no known sample; declare meta.sample`);
+			}
+		});
 		return {
-			id: idx + 1,
+			id,
 			spec,
 			dep,
 			ui,
+			stage,
 			columnMeta,
+			columnSample,
+			model,
 			table: t
 		};
-	});
+	}
+
+	// Rebuilt whenever the active result bundle changes or tables are imported
+	let indexed = [];
+
+	// ---- Result bundles ----
+	// A bundle is { id, title, description, tables } or a bare tables array. The page loads
+	//   ?bundle=run1.json,run2.json   one or more bundle files (the parameter may also repeat)
+	//   ?manifest=papers.json         { "bundles": [{ "id", "title", "url" }, ...] }, urls relative to the manifest
+	// and otherwise falls back to the global tablesData, or to DEFAULT_MANIFEST when that script is absent.
+	// ?set=<id> picks the bundle shown first.
+	const DEFAULT_MANIFEST = 'UI_Regression_Results_manifest.json';
+	let bundles = [];
+	let activeBundle = null;
+
+	function bundleIdFromUrl(url) {
+		return String(url).split('/').pop().replace(/\.json$/i, '');
+	}
+
+	function fetchJson(url) {
+		return fetch(url).then(res => {
+			if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+			return res.json();
+		});
+	}
+
+	// Manifest fields win over the bundle's own, so one manifest can relabel shared bundle files
+	function normalizeBundle(json, entry) {
+		const tables = Array.isArray(json) ? json : json && json.tables;
+		if (!Array.isArray(tables)) throw new Error(`${entry.url}: no tables array`);
+		const info = Array.isArray(json) ? {} : json;
+		const id = entry.id || info.id || bundleIdFromUrl(entry.url);
+		return {
+			id,
+			title: entry.title || info.title || id,
+			description: entry.description || info.description || '',
+			presets: entry.presets || info.presets || null,
+			tables
+		};
+	}
+
+	// Resolves to { bundles, errors }; a bundle that fails to load is reported and skipped
+	function loadBundleEntries(entries) {
+		return Promise.all(entries.map(entry => fetchJson(entry.url)
+			.then(json => ({ bundle: normalizeBundle(json, entry) }))
+			.catch(err => ({ error: err.message || String(err) }))))
+			.then(results => ({
+				bundles: results.filter(r => r.bundle).map(r => r.bundle),
+				errors: results.filter(r => r.error).map(r => r.error)
+			}));
+	}
+
+	function loadBundles() {
+		const params = new URLSearchParams(window.location.search);
+		const bundleUrls = params.getAll('bundle').flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+		if (bundleUrls.length) {
+			return loadBundleEntries(bundleUrls.map(url => ({ url })));
+		}
+		const hasGlobalData = typeof tablesData !== 'undefined' && Array.isArray(tablesData);
+		const manifestUrl = params.get('manifest') || (hasGlobalData ? '' : DEFAULT_MANIFEST);
+		if (!manifestUrl) {
+			return Promise.resolve({ bundles: [{ id: 'default', title: '', description: '', presets: null, tables: tablesData }], errors: [] });
+		}
+		return fetchJson(manifestUrl).then(manifest => {
+			const base = new URL(manifestUrl, window.location.href);
+			const entries = (Array.isArray(manifest) ? manifest : manifest.bundles || []).map(e => ({ ...e, url: new URL(e.url, base).href }));
+			return loadBundleEntries(entries);
+		});
+	}
+
+	function activateBundle(id) {
+		activeBundle = bundles.find(b => b.id === id) || bundles[0] || null;
+		indexed = indexTables(activeBundle ? activeBundle.tables : []);
+		showIntegrityReport(activeBundle);
+		const select = document.getElementById('resultSet');
+		if (select && activeBundle) select.value = activeBundle.id;
+		showBundleTitle();
+	}
+
+	// Bundles without a title keep the page's own heading
+	function showBundleTitle() {
+		const titleEl = document.getElementById('pageTitle');
+		const descEl = document.getElementById('pageDescription');
+		if (titleEl) titleEl.textContent = (activeBundle && activeBundle.title) || msg('page.title');
+		if (descEl) descEl.textContent = (activeBundle && activeBundle.description) || msg('page.description');
+	}
+
+	function setBundles(loaded) {
+		bundles = loaded;
+		fillBundleSelects();
+		activateBundle(new URLSearchParams(window.location.search).get('set'));
+	}
+
+	// Bundles added after loading (runs to compare) get an id of their own
+	function addBundle(bundle) {
+		let id = bundle.id;
+		for (let n = 2; bundles.some(b => b.id === id); n++) id = `${bundle.id}-${n}`;
+		const added = { ...bundle, id };
+		bundles.push(added);
+		fillBundleSelects();
+		return added;
+	}
+
+	function fillBundleSelects() {
+		const select = document.getElementById('resultSet');
+		const block = document.getElementById('resultSetBlock');
+		if (select) {
+			select.innerHTML = '';
+			bundles.forEach(b => {
+				const opt = document.createElement('option');
+				opt.value = b.id;
+				opt.textContent = b.title || b.id;
+				select.appendChild(opt);
+			});
+			if (activeBundle) select.value = activeBundle.id;
+		}
+		if (block) block.classList.toggle('d-none', bundles.length < 2);
+		fillDiffSelects();
+	}
+
+	// ?debug=1 checks every bundle on activation and lists structural problems above the table
+	function isDebugMode() {
+		const flag = new URLSearchParams(window.location.search).get('debug');
+		return flag !== null && flag !== '0' && flag !== 'false';
+	}
+
+	// Validation problems and import warnings carry a code; the catalog has them as problem.* and importWarning.*
+	function problemText(p) {
+		const where = [msg('problem.table', { number: p.table }), p.variable, p.column].filter(Boolean).join(' · ');
+		const text = RegressionI18n.hasMessage(language, `problem.${p.code}`) ? msg(`problem.${p.code}`, p.params) : p.message;
+		return `${where}: ${text}`;
+	}
+
+	function importWarningText(w) {
+		return RegressionI18n.hasMessage(language, `importWarning.${w.code}`) ? msg(`importWarning.${w.code}`, w.params) : w.message;
+	}
+
+	function showIntegrityReport(bundle) {
+		const el = document.getElementById('integrityReport');
+		if (!el || !bundle || !isDebugMode()) return;
+		const problems = RegressionModel.validateTablesData(bundle.tables);
+		problems.forEach(p => console.warn(`Data integrity: ${RegressionModel.formatProblem(p)}`));
+		const heading = msg('integrity.heading', { problems: problems.length, tables: bundle.tables.length });
+		el.innerHTML = `<strong>${escapeHtml(heading)}</strong>` +
+			(problems.length ? `<ul class="mb-0">${problems.map(p => `<li>${escapeHtml(problemText(p))}</li>`).join('')}</ul>` : '');
+		el.className = `alert small m-3 ${problems.length ? 'alert-danger' : 'alert-success'}`;
+	}
+
+	function showLoadErrors(errors) {
+		const el = document.getElementById('loadStatus');
+		if (!el) return;
+		el.innerHTML = errors.map(e => `<div>${escapeHtml(e)}</div>`).join('');
+		el.classList.toggle('d-none', errors.length === 0);
+	}
 
 	// ---- UI wiring ----
 	function getChecked(id) { const el = document.getElementById(id); return !!(el && el.checked); }
 	function getSelectValue(id) { const el = document.getElementById(id); return el ? el.value : ''; }
 
-	function selectedDepTypes() {
-		const out = new Set();
-		if (getChecked('depVar3m')) out.add('3m');
-		if (getChecked('depVar3mLog')) out.add('3m_log');
-		if (getChecked('depVar6m')) out.add('6m');
-		if (getChecked('depVar6mLog')) out.add('6m_log');
-		if (getChecked('depVarWealth')) out.add('wealth');
-		return out;
+	// ---- Selection state ----
+	// Two copies of everything the specification panel selects. Each control writes into the pending
+	// copy when it changes (readSelection); the renderers, the permalink and preset matching read only
+	// the applied copy. A change is applied after a short pause, so a burst of clicks renders once, or,
+	// with manual apply on (for heavy views), when Update Results is pressed. The group and select keys
+	// double as the permalink keys.
+	const CONTROL_GROUPS = {
+		dep: { depVar3m: '3m', depVar3mLog: '3m_log', depVar6m: '6m', depVar6mLog: '6m_log', depVarWealth: 'wealth' },
+		ui: { uiSizeAvgLinear: 'avg_ui_linear', uiSizeAvgLog: 'avg_ui_log', uiSizeMedian: 'median_ui', uiSizeMedianLog: 'median_ui_log' },
+		controls: { colExcludeAge: 'exclude', colIncludeAge: 'include', colAgeInteraction: 'interaction', colAge2Control: 'age2_control', colAge2Interaction: 'age2_interaction' },
+		stage: { ivStageFirst: 'first', ivStageSecond: 'second' },
+		sample: { ivSubsetWhole: 'whole', ivSubsetLotteryScp: 'lottery_scp', ivSubsetLotteryOnly: 'lottery_only' }
+	};
+	const CONTROL_SELECTS = { spec: 'mainSpec', detail: 'cellDetail', level: 'confidenceLevel', stars: 'starRule' };
+	const RENDER_DELAY_MS = 250;
+	const MANUAL_APPLY_STORAGE_KEY = 'uiRegressionResults.manualApply';
+
+	function emptySelection() {
+		return {
+			spec: 'baseline',
+			detail: 'se',
+			level: '0.95',
+			stars: 'printed',
+			thresholds: '',
+			dep: [],
+			ui: [],
+			controls: [],
+			stage: [],
+			sample: [],
+			// variable -> factor chosen under Variable Scaling
+			scales: {}
+		};
 	}
 
-	function selectedUiTypes() {
-		const out = new Set();
-		if (getChecked('uiSizeAvgLinear')) out.add('avg_ui_linear');
-		if (getChecked('uiSizeAvgLog')) out.add('avg_ui_log');
-		if (getChecked('uiSizeMedian')) out.add('median_ui');
-		if (getChecked('uiSizeMedianLog')) out.add('median_ui_log');
-		return out;
+	function copySelectionValue(value) {
+		if (Array.isArray(value)) return [...value];
+		return value && typeof value === 'object' ? { ...value } : value;
 	}
 
-	function selectedControlTypes() {
-		const out = new Set();
-		if (getChecked('colExcludeAge')) out.add('exclude');
-		if (getChecked('colIncludeAge')) out.add('include');
-		if (getChecked('colAgeInteraction')) out.add('interaction');
-		if (getChecked('colAge2Control')) out.add('age2_control');
-		if (getChecked('colAge2Interaction')) out.add('age2_interaction');
-		return out;
+	function selectionValueText(value) {
+		if (Array.isArray(value)) return value.join(',');
+		if (value && typeof value === 'object') return Object.keys(value).sort().map(k => `${k}=${value[k]}`).join('&');
+		return String(value);
 	}
 
-	function getIvStageAndSample() {
-		const stageFirst = getChecked('ivStageFirst');
-		const stageSecond = getChecked('ivStageSecond');
-		const subsetWhole = getChecked('ivSubsetWhole');
-		const subsetLotteryScp = getChecked('ivSubsetLotteryScp');
-		const subsetLotteryOnly = getChecked('ivSubsetLotteryOnly');
-		return { stageFirst, stageSecond, subsetWhole, subsetLotteryScp, subsetLotteryOnly };
+	// What is drawn, and what the panel shows but has not been applied yet
+	const selection = emptySelection();
+	const pendingSelection = emptySelection();
+
+	function readSelection() {
+		Object.entries(CONTROL_SELECTS).forEach(([key, id]) => {
+			const el = document.getElementById(id);
+			if (el) pendingSelection[key] = el.value;
+		});
+		Object.entries(CONTROL_GROUPS).forEach(([key, group]) => {
+			pendingSelection[key] = Object.keys(group).filter(getChecked).map(id => group[id]);
+		});
+		const custom = document.getElementById('starThresholdsCustom');
+		if (custom) pendingSelection.thresholds = custom.value;
+	}
+
+	function hasPendingChanges() {
+		return Object.keys(selection).some(key => selectionValueText(selection[key]) !== selectionValueText(pendingSelection[key]));
+	}
+
+	let manualApply = false;
+	try {
+		manualApply = localStorage.getItem(MANUAL_APPLY_STORAGE_KEY) === '1';
+	} catch (e) {
+		// Storage can be unavailable (private mode, file://); live rendering is the default
+	}
+	let renderTimer = null;
+
+	// The only way pending changes reach the page: the debounce timer, Update Results, and the
+	// wholesale selections (loading, permalink navigation, presets) that stand in for pressing it
+	function applyPendingSelection() {
+		clearTimeout(renderTimer);
+		renderTimer = null;
+		Object.keys(pendingSelection).forEach(key => {
+			selection[key] = copySelectionValue(pendingSelection[key]);
+		});
+		renderTable();
+		showPendingChanges();
+	}
+
+	function scheduleRender() {
+		clearTimeout(renderTimer);
+		renderTimer = null;
+		if (manualApply) {
+			showPendingChanges();
+			return;
+		}
+		renderTimer = setTimeout(applyPendingSelection, RENDER_DELAY_MS);
+	}
+
+	// The Update Results button only shows in manual mode, and turns amber while changes wait for it
+	function showPendingChanges() {
+		const btn = document.getElementById('updateTable');
+		if (!btn) return;
+		const pending = manualApply && hasPendingChanges();
+		btn.classList.toggle('d-none', !manualApply);
+		btn.classList.toggle('btn-warning', pending);
+		btn.classList.toggle('btn-primary', !pending);
+	}
+
+	function setManualApply(on) {
+		manualApply = !!on;
+		try {
+			localStorage.setItem(MANUAL_APPLY_STORAGE_KEY, manualApply ? '1' : '0');
+		} catch (e) {
+			console.warn('Could not remember the apply mode:', e);
+		}
+		const toggle = document.getElementById('manualApply');
+		if (toggle) toggle.checked = manualApply;
+		// Leaving manual mode applies whatever was waiting
+		if (manualApply) showPendingChanges();
+		else applyPendingSelection();
+	}
+
+	// Every panel control ends up here after its own handler has run
+	function selectionChanged() {
+		readSelection();
+		refreshAvailability();
+		scheduleRender();
 	}
 
 	function getIvSampleFromObservations(obsText) {
-		const obs = parseInt(obsText.replace(/,/g, ''));
+		// Fallback only: tables should declare meta.sample, since N shifts with every re-estimation
+		const obs = parseInt(String(obsText || '').replace(/,/g, ''));
 		if (obs === 63413) return 'whole';
 		if (obs === 17553) return 'lottery_scp';
 		if (obs === 6289) return 'lottery_only';
@@ -273,62 +577,108 @@
 		return dep === 'wealth' ? 'first' : 'second';
 	}
 
-	function getSampleLabel(record) {
-		// Heuristic: large N (~63k) => full; small N (~17k) => lottery/SCP subset
-		const summary = record.table.summary || [];
-		const obs = summary.find(s => s.metric && s.metric.toLowerCase().includes('observations'));
-		const values = [obs?.value, obs?.value2, obs?.value3]
-			.filter(Boolean)
-			.map(v => parseInt(String(v).replace(/[^0-9]/g, ''), 10))
-			.filter(n => !isNaN(n));
-		const maxN = values.length ? Math.max(...values) : 0;
-		return maxN >= 60000 ? 'full' : 'lottery';
+	// ---- IV layout ----
+	// One column group per selected sample. Inside it the second stage comes first, followed by the
+	// first stage for the same sample (where the instrument coefficients are) and, when the data has
+	// tables declaring meta.stage "reduced", the reduced form. A stage estimated on some samples but
+	// not this one keeps an empty column, so the pairing stays visible.
+	const IV_SAMPLES = ['whole', 'lottery_scp', 'lottery_only'];
+	const IV_STAGES = ['second', 'first', 'reduced'];
+
+	// Reduced forms sit under the second-stage toggle
+	function selectedIvStages() {
+		return IV_STAGES.filter(stage => selection.stage.includes(stage === 'first' ? 'first' : 'second'));
 	}
 
-	function chooseRecord() {
-		const specWanted = getSelectValue('mainSpec');
-		const depWanted = selectedDepTypes();
-		const uiWanted = selectedUiTypes();
-		const controlsWanted = selectedControlTypes();
-
-		// Filter records by spec and DV
-		let candidates = indexed.filter(r => r.spec === specWanted && depWanted.has(r.dep));
+	function selectedIvSamples() {
+		return IV_SAMPLES.filter(sample => selection.sample.includes(sample));
+	}
 
-		// Filter by UI if any chosen and record has a UI type; allow through if DV=wealth and no UI detected
-		if (uiWanted.size > 0) {
-			candidates = candidates.filter(r => !r.ui || uiWanted.has(r.ui) || r.dep === 'wealth');
-		}
+	function buildIvColumns() {
+		const ivTables = indexed.filter(r => r.spec === 'iv');
+		const columns = [];
+		selectedIvSamples().forEach(sample => {
+			selectedIvStages().forEach(stage => {
+				const stageTables = ivTables.filter(r => r.stage === stage);
+				const deps = [...new Set(stageTables.map(r => r.dep))];
+				deps.forEach(dep => {
+					let found = false;
+					stageTables.filter(r => r.dep === dep).forEach(record => {
+						Object.keys(record.columnSample).filter(c => record.columnSample[c] === sample).forEach(colKey => {
+							found = true;
+							columns.push({ dep, control: record.columnMeta[colKey], ui: record.ui, stage, sample, record, colKey, ...getColumnSummary(record.model, colKey) });
+						});
+					});
+					if (!found) columns.push({ dep, stage, sample, record: null, colKey: null, notEstimated: true });
+				});
+			});
+		});
+		return columns;
+	}
 
-		// If still multiple, prefer those with UI explicitly matching when DV != wealth
-		if (candidates.length > 1 && uiWanted.size > 0) {
-			const strict = candidates.filter(r => r.ui && uiWanted.has(r.ui));
-			if (strict.length > 0) candidates = strict;
+	// Instrument diagnostics are summary rows of the IV tables (a "First-stage F", ivreg's "Weak
+	// instruments", ...); the block only appears when some shown column has one. Instrument strength is
+	// only read from a statistic named as such, and only in first-stage columns: stargazer's plain
+	// "F Statistic" tests every regressor together and keeps its own name.
+	const IV_DIAGNOSTICS = [
+		{ key: 'iv.firstStageF', stage: 'first', test: m => /first[- ]stage f/.test(m) },
+		{ key: 'iv.weakInstruments', stage: 'first', test: m => m.includes('weak instrument') },
+		{ key: 'iv.fStatistic', test: m => /^f[- ]stat/.test(m) },
+		{ key: 'iv.wuHausman', test: m => m.includes('hausman') },
+		{ key: 'iv.sargan', test: m => m.includes('sargan') || m.includes('hansen') }
+	];
+	// Staiger-Stock rule of thumb for the first-stage F
+	const WEAK_INSTRUMENT_F = 10;
+
+	function ivDiagnostics(columns) {
+		const rows = IV_DIAGNOSTICS.map(d => ({
+			key: d.key,
+			label: msg(d.key),
+			values: columns.map(c => (c.record && c.colKey && (!d.stage || c.stage === d.stage) ? getSummaryValue(c.record.model, d.test, c.colKey) : ''))
+		})).filter(row => row.values.some(Boolean));
+		const strength = rows.find(row => row.key === 'iv.firstStageF') || rows.find(row => row.key === 'iv.weakInstruments');
+		if (strength) {
+			rows.push({
+				key: 'iv.strength',
+				label: msg('iv.strength', { threshold: WEAK_INSTRUMENT_F }),
+				values: strength.values.map(text => {
+					const f = parseFloat(String(text).replace(/,/g, ''));
+					if (isNaN(f)) return '';
+					return f < WEAK_INSTRUMENT_F ? msg('iv.weak') : msg('iv.strong');
+				})
+			});
 		}
-
-		// Return first match
-		return candidates[0] || indexed[0];
+		return rows.map(({ label, values }) => ({ label, values }));
 	}
 
-	function chooseRecordFor(depName) {
-		const specWanted = getSelectValue('mainSpec');
-		const uiWanted = selectedUiTypes();
-		let candidates = indexed.filter(r => r.spec === specWanted && r.dep === depName);
-		if (uiWanted.size > 0 && depName !== 'wealth') {
-			const strict = candidates.filter(r => r.ui && uiWanted.has(r.ui));
-			if (strict.length > 0) candidates = strict;
-		}
-		return candidates[0] || null;
+	// ---- Ambiguous matches ----
+	// Several tables can match one DV × UI × control (or IV stage × sample) cell, e.g. repeated
+	// Salary_change_rate_3_months_log tables. All of them are shown side by side; each sibling is
+	// flagged, labelled with its table number and lists the others as alternatives.
+	function columnIdentity(c) {
+		return [c.dep, c.ui || '', c.control || '', c.stage || '', c.sample || ''].join('|');
 	}
 
-	function buildHeaderColumns(record, controlsWanted) {
-		const cols = Object.keys(record.columnMeta);
-		const filtered = cols.filter(c => controlsWanted.size === 0 || controlsWanted.has(record.columnMeta[c]));
-		const finalCols = filtered.length > 0 ? filtered : cols;
-		return finalCols.map(c => ({ key: c, label: controlLabel(record.columnMeta[c]) }));
+	function flagAmbiguousColumns(columns) {
+		const byIdentity = new Map();
+		columns.filter(c => c.record).forEach(c => {
+			const id = columnIdentity(c);
+			if (!byIdentity.has(id)) byIdentity.set(id, []);
+			byIdentity.get(id).push(c);
+		});
+		byIdentity.forEach(siblings => {
+			if (siblings.length < 2) return;
+			siblings.forEach(c => {
+				c.ambiguous = true;
+				c.alternatives = siblings.filter(other => other !== c).map(other => ({ record: other.record, colKey: other.colKey }));
+			});
+		});
 	}
 
-	function renderTable() {
-		const specWanted = getSelectValue('mainSpec');
+	// Columns (DV × UI × control) and the unified variable list for the current selection;
+	// null when no dependent variable is selected
+	function buildComparison() {
+		const specWanted = selection.spec;
 		const isIv = specWanted === 'iv';
 		let depSet, uiSet, controlsSet;
 		if (isIv) {
@@ -337,9 +687,9 @@
 			uiSet = new Set(); // No UI filtering for IV
 			controlsSet = new Set(['include']); // Default to Include Age
 		} else {
-			depSet = selectedDepTypes();
-			uiSet = selectedUiTypes();
-			controlsSet = selectedControlTypes();
+			depSet = new Set(selection.dep);
+			uiSet = new Set(selection.ui);
+			controlsSet = new Set(selection.controls);
 		}
 		const depOrder = ['3m', '3m_log', '6m', '6m_log', 'wealth'];
 		let selectedDeps = depOrder.filter(d => depSet.has(d));
@@ -351,70 +701,12 @@
 		}
 		const desiredControls = controlsSet.size > 0 ? Array.from(controlsSet) : ['include'];
 
-		if (selectedDeps.length === 0) {
-			const thead = document.getElementById('tableHeader');
-			const tbody = document.getElementById('tableBody');
-			const extra = document.getElementById('extraResults');
-			if (thead) thead.innerHTML = '<tr><th>Variable</th></tr>';
-			if (tbody) tbody.innerHTML = '';
-			if (extra) extra.innerHTML = '';
-			return;
-		}
+		if (selectedDeps.length === 0) return null;
 
 		// Build independent columns: for each DV × UI × control (wealth DV ignores UI)
 		const columns = [];
 		if (isIv) {
-			// For IV, filter based on stage and sample selections
-			const ivSelections = getIvStageAndSample();
-			const ivTables = indexed.filter(r => r.spec === 'iv');
-			console.log('Available IV tables:', ivTables);
-			console.log('IV selections:', ivSelections);
-
-			ivTables.forEach((table, idx) => {
-				const cols = Object.keys(table.columnMeta);
-				cols.forEach(colKey => {
-					const controlKey = table.columnMeta[colKey];
-					// Collect N, R2, Adjusted R2 for this column
-					let obsText = '', r2Text = '', adjR2Text = '';
-					const summary = table.table.summary || [];
-					const obs = summary.find(s => s.metric && s.metric.toLowerCase().includes('observations'));
-					const r2 = summary.find(s => s.metric && s.metric.toLowerCase().startsWith('r^2'));
-					const adj = summary.find(s => s.metric && s.metric.toLowerCase().includes('adjusted r^2'));
-					if (obs) {
-						obsText = colKey === '(3)' && obs.value3 ? obs.value3 : colKey === '(2)' && obs.value2 ? obs.value2 : obs.value || '';
-					}
-					if (r2) {
-						r2Text = colKey === '(3)' && r2.value3 ? r2.value3 : colKey === '(2)' && r2.value2 ? r2.value2 : r2.value || '';
-					}
-					if (adj) {
-						adjR2Text = colKey === '(3)' && adj.value3 ? adj.value3 : colKey === '(2)' && adj.value2 ? adj.value2 : adj.value || '';
-					}
-
-					// Check if this table matches the selected stage and sample
-					const tableStage = getIvStageFromDependent(table.dep);
-					const tableSample = getIvSampleFromObservations(obsText);
-
-					const stageMatches = (tableStage === 'first' && ivSelections.stageFirst) ||
-										(tableStage === 'second' && ivSelections.stageSecond);
-
-					const sampleMatches = (tableSample === 'whole' && ivSelections.subsetWhole) ||
-										(tableSample === 'lottery_scp' && ivSelections.subsetLotteryScp) ||
-										(tableSample === 'lottery_only' && ivSelections.subsetLotteryOnly);
-
-					if (stageMatches && sampleMatches) {
-						columns.push({
-							dep: table.dep,
-							control: controlKey,
-							ui: table.ui,
-							record: table,
-							colKey,
-							obsText,
-							r2Text,
-							adjR2Text
-						});
-					}
-				});
-			});
+			columns.push(...buildIvColumns());
 		} else {
 			// Original logic for Baseline
 			selectedDeps.forEach(depName => {
@@ -423,67 +715,268 @@
 					desiredControls.forEach(controlKey => {
 						let candidates = indexed.filter(r => r.spec === specWanted && r.dep === depName && (depName === 'wealth' || (uiChoice ? r.ui === uiChoice : true)));
 
-						// Debug logging for IV
-						if (isIv) {
-							console.log('IV Debug:', {
-								specWanted,
-								depName,
-								controlKey,
-								allIvTables: indexed.filter(r => r.spec === 'iv'),
-								candidates,
-								uiChoice
-							});
-						}
-
-						// Choose first candidate that actually has the desired control column
-						let chosen = null;
-						let colKey = null;
-						for (const cand of candidates) {
+						// Every candidate with the desired control column becomes a column; none at all is reported as not estimated
+						const matches = candidates.map(cand => {
 							const entry = Object.entries(cand.columnMeta).find(([, ctl]) => ctl === controlKey);
-							if (entry) { chosen = cand; colKey = entry[0]; break; }
+							return entry ? { record: cand, colKey: entry[0] } : null;
+						}).filter(Boolean);
+						if (!matches.length) {
+							columns.push({ dep: depName, control: controlKey, ui: uiChoice, record: null, colKey: null, notEstimated: true });
+							return;
 						}
-						if (!chosen && candidates.length > 0) chosen = candidates[0];
-						// Collect N, R2, Adjusted R2 for this column (based on colKey index if present)
-						let obsText = '', r2Text = '', adjR2Text = '';
-						if (chosen) {
-							const summary = chosen.table.summary || [];
-							const obs = summary.find(s => s.metric && s.metric.toLowerCase().includes('observations'));
-							const r2 = summary.find(s => s.metric && s.metric.toLowerCase().startsWith('r^2'));
-							const adj = summary.find(s => s.metric && s.metric.toLowerCase().includes('adjusted r^2'));
-							if (obs) {
-								obsText = colKey === '(3)' && obs.value3 ? obs.value3 : colKey === '(2)' && obs.value2 ? obs.value2 : obs.value || '';
-							}
-							if (r2) {
-								r2Text = colKey === '(3)' && r2.value3 ? r2.value3 : colKey === '(2)' && r2.value2 ? r2.value2 : r2.value || '';
-							}
-							if (adj) {
-								adjR2Text = colKey === '(3)' && adj.value3 ? adj.value3 : colKey === '(2)' && adj.value2 ? adj.value2 : adj.value || '';
-							}
-						}
-						columns.push({ dep: depName, control: controlKey, ui: uiChoice || (chosen ? chosen.ui : null), record: chosen, colKey, obsText, r2Text, adjR2Text });
+						matches.forEach(({ record, colKey }) => {
+							// Collect N, R2, Adjusted R2 for this column
+							columns.push({ dep: depName, control: controlKey, ui: uiChoice || record.ui, record, colKey, ...getColumnSummary(record.model, colKey) });
+						});
 					});
 				});
 			});
 		}
 
+		flagAmbiguousColumns(columns);
+
 		// Build unified variable list across chosen records
 		const varSet = new Set();
 		columns.forEach(c => {
-			if (c.record) {
-				(c.record.table.data || []).forEach(row => {
-					const nm = normalizeVarName(row.variable);
-					if (nm) varSet.add(nm); // exclude empty name rows used for SE
-				});
-			}
+			if (c.record) c.record.model.variables.forEach(v => varSet.add(v));
+		});
+		const variables = sortVariables(Array.from(varSet));
+		return { specWanted, isIv, columns, variables };
+	}
+
+	// ---- Significance stars ----
+	// null keeps the stars as printed; a threshold list recomputes them from each cell's p-value
+	const STAR_RULES = {
+		printed: null,
+		conventional: [0.1, 0.05, 0.01],
+		strict: [0.05, 0.01, 0.001]
+	};
+	// What the printed stars in tablesData mean (stargazer's defaults)
+	const PRINTED_STAR_THRESHOLDS = [0.1, 0.05, 0.01];
+
+	// "0.05, 0.01, 0.001" -> [0.05, 0.01, 0.001]; null unless every value is a probability
+	function parseThresholds(text) {
+		const values = String(text || '').split(/[\s,;]+/).filter(Boolean).map(Number);
+		if (!values.length || values.some(v => !(v > 0 && v < 1))) return null;
+		return [...new Set(values)].sort((a, b) => b - a);
+	}
+
+	function selectedStarThresholds() {
+		const rule = selection.stars;
+		if (rule !== 'custom') return STAR_RULES[rule] || null;
+		const thresholds = parseThresholds(selection.thresholds);
+		document.getElementById('starThresholdsCustom')?.classList.toggle('is-invalid', !thresholds);
+		return thresholds;
+	}
+
+	// Without a usable p-value (e.g. an SE printed as 0) the printed stars stand
+	function cellStars(cell, thresholds) {
+		const recomputed = thresholds ? starsForPValue(cell.pValue, thresholds) : null;
+		return recomputed === null ? cell.stars : recomputed;
+	}
+
+	// Cells that keep their printed stars under a recompute rule because there is no usable p-value
+	// (a standard error printed as 0, say): the ones whose printed stars are most in doubt
+	function starsUnchecked(cell, thresholds) {
+		return !!thresholds && starsForPValue(cell.pValue, thresholds) === null;
+	}
+
+	function starsNote(thresholds, uncheckedCount) {
+		const note = (thresholds || PRINTED_STAR_THRESHOLDS).map((t, i) => `${'*'.repeat(i + 1)} p<${t}`).join(', ');
+		if (!thresholds) return note;
+		const recomputed = msg('note.recomputed', { note });
+		return uncheckedCount ? `${recomputed} ${msg('note.unchecked', { count: uncheckedCount })}` : recomputed;
+	}
+
+	// What goes under each coefficient: the printed SE, or t, p or an interval computed by RegressionModel
+	const CELL_DETAILS = {
+		se: { note: () => msg('note.se') },
+		t: { note: () => msg('note.t') },
+		p: { note: () => msg('note.p') },
+		ci: { note: level => msg('note.ci', { level: formatLevel(level) }) }
+	};
+
+	function formatLevel(level) {
+		return `${Math.round(level * 100)}%`;
+	}
+
+	// Intervals keep the precision the estimate was printed with
+	function decimalsOf(text) {
+		const match = String(text).match(/\.(\d+)/);
+		return match ? match[1].length : 0;
+	}
+
+	function cellDetailText(cell, detail, level) {
+		if (detail === 't') return cell.tStat === null ? '(n/a)' : `(${formatNumber(cell.tStat, 2)})`;
+		if (detail === 'p') {
+			if (cell.pValue === null) return '(n/a)';
+			return cell.pValue < 0.001 ? `(<${formatNumber(0.001, 3)})` : `(${formatNumber(cell.pValue, 3)})`;
+		}
+		if (detail === 'ci') {
+			const ci = confidenceInterval(cell, level);
+			const digits = decimalsOf(cell.text);
+			return ci ? `[${formatNumber(ci[0], digits)}, ${formatNumber(ci[1], digits)}]` : '[n/a]';
+		}
+		return cell.seText;
+	}
+
+	// ---- Variable scaling ----
+	// Money variables (marked in the dictionary) can be shown per 1,000 or 10,000 yen. A table may
+	// declare defaults in meta.scale ({ variable: factor }); a choice made in the panel overrides them
+	// for every table. The panel's choices live in the selection store (scales) like the other controls.
+	const SCALE_FACTORS = [1000, 10000];
+
+	function declaredScales(columns) {
+		return columns.map(c => c.record && c.record.table.meta && c.record.table.meta.scale).filter(Boolean);
+	}
+
+	function rowScale(varName, columns) {
+		if (selection.scales[varName]) return selection.scales[varName];
+		const declared = declaredScales(columns).find(sc => sc[varName]);
+		return declared ? Number(declared[varName]) || 1 : 1;
+	}
+
+	// Rescaled copy of a model cell. Printed strings carry no digits beyond what they show, so without
+	// raw numbers the decimals shrink with the factor instead of inventing precision.
+	function scaleCell(cell, factor) {
+		if (factor === 1) return cell;
+		const shift = Math.round(Math.log10(factor));
+		const digits = (text, precise) => precise ? decimalsOf(text) : Math.max(0, decimalsOf(text) - shift);
+		const estimate = cell.estimate === null ? null : cell.estimate * factor;
+		const stdError = cell.stdError === null ? null : cell.stdError * factor;
+		return {
+			...cell,
+			text: estimate === null ? cell.text : formatNumber(estimate, digits(cell.text, cell.estimatePrecise)) + cell.stars,
+			estimate,
+			seText: stdError === null ? cell.seText : `(${formatNumber(stdError, digits(cell.seText, cell.sePrecise))})`,
+			stdError
+		};
+	}
+
+	// Only rows in yen can be rescaled: dictionary money variables and any a table declares a scale for
+	function scalableVariables(view) {
+		if (!view) return [];
+		const declared = declaredScales(view.columns.map(c => c.source));
+		return view.rows.map(r => r.variable).filter(v => isMoneyVariable(v) || declared.some(sc => sc[v]));
+	}
+
+	// Without raw values in the data file a rescaled coefficient printed as 0.000 still shows as 0
+	function hasRawValues(view, varName) {
+		return view.columns.some(c => {
+			const cell = c.source.record && c.source.colKey ? getCell(c.source.record.model, varName, c.source.colKey) : null;
+			return !!(cell && cell.estimatePrecise);
 		});
-		const variables = sortVariables(Array.from(varSet), isIv);
+	}
+
+	function refreshScaleControls(view) {
+		const select = document.getElementById('scaleVariable');
+		const factor = document.getElementById('scaleFactor');
+		if (!select || !factor) return;
+		const previous = select.value;
+		const variables = scalableVariables(view);
+		select.innerHTML = variables.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(variableLabel(v))}</option>`).join('');
+		if (variables.includes(previous)) select.value = previous;
+		select.disabled = factor.disabled = variables.length === 0;
+		factor.value = String(pendingSelection.scales[select.value] || '');
+		document.getElementById('scaleRounded')?.classList.toggle('d-none', !select.value || hasRawValues(view, select.value));
+	}
+
+	// IV columns are labelled sample / stage / outcome, so exports span the sample over its stages.
+	// A last level says which table an ambiguous column is from, or that nothing was estimated.
+	function columnLabels(c) {
+		const labels = c.stage
+			? [codeLabel('sample', c.sample, c.sample), codeLabel('ivStage', c.stage, c.stage), outcomeLabel(c.dep)]
+			: [dvLabel(c.dep), uiLabel(c.ui), controlLabel(c.control)];
+		if (c.notEstimated) return [...labels, msg('column.notEstimated')];
+		if (c.ambiguous) return [...labels, msg('column.fromTable', { number: c.record.id })];
+		return labels;
+	}
+
+	// What renderTable shows, as plain data; the table, the plot and every export format are built from it
+	function buildView(comparison) {
+		const { specWanted, isIv, columns, variables } = comparison;
+		const detail = CELL_DETAILS[selection.detail] ? selection.detail : 'se';
+		const level = parseFloat(selection.level) || 0.95;
+		const thresholds = selectedStarThresholds();
+		const rows = variables.map(varName => {
+			const factor = rowScale(varName, columns);
+			const label = variableLabel(varName);
+			const group = variableGroup(varName);
+			return {
+				variable: varName,
+				label: SCALE_FACTORS.includes(factor) ? `${label} (${msg(`scaleSuffix.${factor}`)})` : label,
+				group: group && { id: group.id, label: RegressionI18n.localizedLabel(language, group) },
+				cells: columns.map(c => {
+					const modelCell = c.record && c.colKey ? getCell(c.record.model, varName, c.colKey) : null;
+					if (!modelCell) return null;
+					const cell = scaleCell(modelCell, factor);
+					const stars = cellStars(cell, thresholds);
+					const value = cell.text.slice(0, cell.text.length - cell.stars.length);
+					return {
+						text: value + stars,
+						value,
+						stars,
+						printedStars: cell.stars,
+						starsDiffer: stars !== cell.stars,
+						starsUnchecked: starsUnchecked(cell, thresholds),
+						se: cellDetailText(cell, detail, level),
+						seText: cell.seText,
+						estimate: cell.estimate,
+						stdError: cell.stdError,
+						ci: confidenceInterval(cell, level)
+					};
+				})
+			};
+		});
+		const uncheckedCount = rows.reduce((n, r) => n + r.cells.filter(cell => cell && cell.starsUnchecked).length, 0);
+		return {
+			title: specWanted === 'iv' ? msg('title.iv') : msg('title.baseline'),
+			layout: isIv ? 'iv' : 'baseline',
+			detail,
+			confidenceLevel: level,
+			columns: columns.map(c => ({ labels: columnLabels(c), source: c })),
+			rows,
+			summary: [
+				{ label: msg('summary.observations'), values: columns.map(c => c.obsText || '') },
+				{ label: msg('summary.r2'), values: columns.map(c => c.r2Text || '') },
+				{ label: msg('summary.adjR2'), values: columns.map(c => c.adjR2Text || '') },
+				...(isIv ? ivDiagnostics(columns) : [])
+			],
+			note: `${CELL_DETAILS[detail].note(level)} ${starsNote(thresholds, uncheckedCount)}`
+		};
+	}
+
+	// The view last drawn by renderTable; exports read it so they match the screen
+	let currentView = null;
+
+	function renderTable() {
+		writePermalink();
+		refreshPresetControls();
+		refreshAvailability();
+		renderDiff();
+		renderCurve();
+		renderCoverage();
+		const comparison = buildComparison();
+		if (!comparison) {
+			const thead = document.getElementById('tableHeader');
+			const tbody = document.getElementById('tableBody');
+			if (thead) thead.innerHTML = `<tr><th>${escapeHtml(msg('table.variable'))}</th></tr>`;
+			if (tbody) tbody.innerHTML = '';
+			currentView = null;
+			refreshScaleControls(null);
+			refreshExport();
+			renderPlot();
+			renderSourceTable();
+			return;
+		}
+		const view = buildView(comparison);
+		currentView = view;
 
 		// Title: only spec label
 		const titleEl = document.getElementById('tableTitle');
-		if (titleEl) {
-			const specLabel = specWanted === 'iv' ? 'IV Results' : 'Baseline Results';
-			titleEl.textContent = specLabel;
-		}
+		if (titleEl) titleEl.textContent = view.title;
+		const noteEl = document.getElementById('tableNote');
+		if (noteEl) noteEl.textContent = view.note;
 
 		// Hide global badges (N and R² are shown per column now)
 		const sampleEl = document.getElementById('sampleSize');
@@ -491,57 +984,83 @@
 		if (sampleEl) sampleEl.textContent = '';
 		if (r2El) r2El.textContent = '';
 
-		// Table header
+		// Table header: IV samples span their stage columns, other layouts use one row
 		const thead = document.getElementById('tableHeader');
 		if (thead) {
 			thead.innerHTML = '';
 			const tr = document.createElement('tr');
 			const thVar = document.createElement('th');
-			thVar.textContent = 'Variable';
+			thVar.textContent = msg('table.variable');
 			tr.appendChild(thVar);
-			columns.forEach(c => {
-				const th = document.createElement('th');
-				const depTxt = dvLabel(c.dep);
-				const uiTxt = uiLabel(c.ui);
-				const ctlTxt = controlLabel(c.control);
-				const title = [depTxt, uiTxt, ctlTxt].filter(Boolean).join(' • ');
-				th.textContent = title;
-				tr.appendChild(th);
-			});
-			thead.appendChild(tr);
+			if (view.layout === 'iv') {
+				thVar.rowSpan = 2;
+				view.columns.forEach((col, i) => {
+					if (i > 0 && view.columns[i - 1].labels[0] === col.labels[0]) return;
+					let span = 1;
+					while (view.columns[i + span] && view.columns[i + span].labels[0] === col.labels[0]) span++;
+					const th = document.createElement('th');
+					th.colSpan = span;
+					th.className = 'column-group';
+					th.textContent = col.labels[0];
+					tr.appendChild(th);
+				});
+				thead.appendChild(tr);
+				const stageRow = document.createElement('tr');
+				view.columns.forEach(col => {
+					const th = document.createElement('th');
+					th.textContent = col.labels.slice(1).filter(Boolean).join(' • ');
+					markColumnHeader(th, col.source);
+					appendSourceLink(th, col.source);
+					stageRow.appendChild(th);
+				});
+				thead.appendChild(stageRow);
+			} else {
+				view.columns.forEach(col => {
+					const th = document.createElement('th');
+					th.textContent = col.labels.filter(Boolean).join(' • ');
+					markColumnHeader(th, col.source);
+					appendSourceLink(th, col.source);
+					tr.appendChild(th);
+				});
+				thead.appendChild(tr);
+			}
 		}
 
 		// Table body
 		const tbody = document.getElementById('tableBody');
 		if (tbody) {
 			tbody.innerHTML = '';
-				variables.forEach(varName => {
+			view.rows.forEach((row, i) => {
+				// Section header whenever the row group changes
+				if (row.group && row.group.id !== view.rows[i - 1]?.group?.id) {
+					const header = document.createElement('tr');
+					header.className = 'row-group';
+					header.innerHTML = `<th colspan="${view.columns.length + 1}">${escapeHtml(row.group.label)}</th>`;
+					tbody.appendChild(header);
+				}
 				const tr = document.createElement('tr');
 				const tdVar = document.createElement('td');
-				tdVar.textContent = varName;
+				tdVar.textContent = row.label;
 				tr.appendChild(tdVar);
-				columns.forEach(c => {
+				row.cells.forEach((cell, c) => {
 					const td = document.createElement('td');
+					const source = view.columns[c].source;
 					let html = '';
-					if (c.record && c.colKey) {
-						const rows = c.record.table.data || [];
-						const idx = rows.findIndex(r => normalizeVarName(r.variable) === varName);
-						if (idx !== -1) {
-							const coef = rows[idx][c.colKey] || '';
-							// find next SE row with empty variable name
-							let se = '';
-							for (let j = idx + 1; j < rows.length; j++) {
-								const nm = normalizeVarName(rows[j].variable);
-								if (nm) break; // next variable encountered
-								const cell = rows[j][c.colKey] || '';
-								if (cell && /\(.*\)/.test(cell)) { se = cell; break; }
-							}
-							if (coef) {
-								const color = getCoefficientColor(coef, se);
-								const style = color ? `style="color: ${color};"` : '';
-								html = `<span ${style}>${coef}</span>${se ? `<div class="small text-muted">${se}</div>` : ''}`;
-							}
-						}
+					if (source && source.notEstimated) {
+						html = '<span class="text-muted">—</span>';
+						td.title = msg('source.noRecord');
+					} else if (cell) {
+						td.title = `${provenanceText(source)}\n${msg('source.cellHint')}`;
+						td.classList.add('has-source');
+						td.addEventListener('click', () => showSourceTable(source.record, source.colKey, row.variable));
+						const color = getCoefficientColor(cell.text, cell.se);
+						const style = color ? `style="color: ${color};"` : '';
+						// Recomputed stars that disagree with the printed ones, or that could not be recomputed,
+						// are marked, with the printed value on hover
+						const printed = cell.printedStars ? cell.value + cell.printedStars : msg('stars.noStars', { value: cell.value });
+						const hint = cell.starsUnchecked ? msg('stars.unchecked', { value: printed }) : msg('stars.printedAs', { value: printed });
+						const flag = cell.starsDiffer || cell.starsUnchecked ? ` class="stars-differ" title="${escapeHtml(hint)}"` : '';
+						html = `<span ${style}${flag}>${escapeHtml(cell.text)}</span>${cell.se ? `<div class="small text-muted">${escapeHtml(cell.se)}</div>` : ''}`;
 					}
 					td.innerHTML = html; // leave blank if not found
 					tr.appendChild(td);
@@ -549,92 +1068,906 @@
 				tbody.appendChild(tr);
 			});
 
-				// Append summary rows
-				const makeSummaryRow = (label, getter) => {
-					const tr = document.createElement('tr');
-					const tdLabel = document.createElement('td');
-					tdLabel.textContent = label;
-					tr.appendChild(tdLabel);
-					columns.forEach(c => {
-						const td = document.createElement('td');
-						td.textContent = getter(c) || '';
-						tr.appendChild(td);
-					});
-					tbody.appendChild(tr);
-				};
-
-				makeSummaryRow('Observations', c => c.obsText);
-				makeSummaryRow('R^2', c => c.r2Text);
-				makeSummaryRow('Adjusted R^2', c => c.adjR2Text);
-		}
-
-		// Extra tables for additional DVs
-		const extraContainer = document.getElementById('extraResults');
-		if (extraContainer) {
-			extraContainer.innerHTML = '';
-			for (let i = 1; i < deps.length; i++) {
-				const rec = chooseRecordFor(deps[i]);
-				if (!rec) continue;
-				const cols = buildHeaderColumns(rec, controlsWanted);
-				const t = rec.table;
-				const specLabel = rec.spec === 'iv' ? 'IV' : 'Baseline';
-				const titleParts = [`${specLabel} Results`, dvLabel(rec.dep)];
-				const uiText = uiLabel(rec.ui);
-				if (uiText) titleParts.push(uiText);
-
-				const section = document.createElement('div');
-				section.className = 'mt-3';
-				section.innerHTML = `
-					<h5 class="mb-2">${titleParts.join(' • ')}</h5>
-					<div class="table-responsive">
-						<table class="table table-striped table-hover">
-							<thead class="table-secondary"></thead>
-							<tbody></tbody>
-						</table>
-					</div>
-				`;
-				extraContainer.appendChild(section);
-				const localThead = section.querySelector('thead');
-				const localTbody = section.querySelector('tbody');
-				if (localThead) {
-					const tr = document.createElement('tr');
-					const thVar = document.createElement('th');
-					thVar.textContent = 'Variable';
-					tr.appendChild(thVar);
-					cols.forEach(h => {
-						const th = document.createElement('th');
-						th.textContent = h.label;
-						tr.appendChild(th);
-					});
-					localThead.appendChild(tr);
+			// Append summary rows
+			view.summary.forEach(s => {
+				const tr = document.createElement('tr');
+				const tdLabel = document.createElement('td');
+				tdLabel.textContent = s.label;
+				tr.appendChild(tdLabel);
+				s.values.forEach(value => {
+					const td = document.createElement('td');
+					td.textContent = value || '';
+					tr.appendChild(td);
+				});
+				tbody.appendChild(tr);
+			});
+		}
+		refreshScaleControls(view);
+		refreshExport();
+		renderPlot();
+
+		renderSourceTable();
+	}
+
+	// ---- Source table ----
+	// Drill-down from a comparison column to the complete table it came from: every column, every
+	// summary metric (Residual Std. Error included) and the notes, with the column used highlighted.
+	let sourceColumn = null;
+
+	// Where a column's numbers come from: table number in the active bundle, column key, dependent
+	// variable as stored, and the sibling columns from other tables that matched the same selection
+	function provenanceText(column) {
+		if (!column || !column.record) return msg('source.noRecord');
+		const { record, colKey } = column;
+		const lines = [msg('source.provenance', { number: record.id, column: colKey, dep: record.table.dependentVariable || '?' })];
+		if (column.alternatives) {
+			lines.push(msg('source.alternatives', { tables: column.alternatives.map(a => msg('source.alternative', { number: a.record.id, column: a.colKey })).join(', ') }));
+		}
+		return lines.join('\n');
+	}
+
+	function markColumnHeader(th, column) {
+		if (!column) return;
+		th.classList.toggle('not-estimated', !!column.notEstimated);
+		th.classList.toggle('ambiguous', !!column.ambiguous);
+	}
+
+	function appendSourceLink(th, column) {
+		th.title = provenanceText(column);
+		if (!column || !column.record) return;
+		const btn = document.createElement('button');
+		btn.type = 'button';
+		btn.className = 'btn btn-link btn-sm p-0 ms-1 source-link';
+		btn.title = msg('source.show');
+		btn.setAttribute('aria-label', msg('source.show'));
+		btn.innerHTML = '<i class="fas fa-table"></i>';
+		btn.addEventListener('click', () => showSourceTable(column.record, column.colKey));
+		th.appendChild(btn);
+	}
+
+	// variable, when given, highlights that coefficient's rows as well
+	function showSourceTable(record, colKey, variable) {
+		sourceColumn = { record, colKey, variable: variable || null };
+		renderSourceTable();
+		const details = document.getElementById('sourceDetails');
+		if (details) details.open = true;
+		document.getElementById('extraResults')?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+	}
+
+	function closeSourceTable() {
+		sourceColumn = null;
+		renderSourceTable();
+	}
+
+	function renderSourceTable() {
+		const panel = document.getElementById('extraResults');
+		const title = document.getElementById('sourceTitle');
+		const thead = document.getElementById('sourceHeader');
+		const tbody = document.getElementById('sourceBody');
+		const notes = document.getElementById('sourceNotes');
+		if (!panel || !title || !thead || !tbody || !notes) return;
+		// A column from a bundle that is no longer shown has nothing to point at
+		if (sourceColumn && !indexed.includes(sourceColumn.record)) sourceColumn = null;
+		panel.classList.toggle('d-none', !sourceColumn);
+		if (!sourceColumn) return;
+
+		const { record, colKey, variable } = sourceColumn;
+		const { model, table } = record;
+		const mark = (key, hit) => (key === colKey ? ` class="${hit ? 'source-hit' : 'source-highlight'}"` : '');
+		const details = [record.spec === 'iv' ? msg('spec.iv') : msg('spec.baseline'), record.stage ? codeLabel('ivStage', record.stage, record.stage) : '', uiLabel(record.ui)];
+		title.textContent = msg('source.title', { number: record.id, dep: table.dependentVariable || '?', details: details.filter(Boolean).join(' • ') });
+		thead.innerHTML = `<tr><th></th>${model.columns.map(key => `<th${mark(key)}>${escapeHtml(key)}</th>`).join('')}</tr>`;
+		// Rows exactly as stored, SE rows included; blank spacer rows are dropped. An unnamed row
+		// belongs to the named row above it, as in buildTableModel.
+		let current = '';
+		const dataRows = (table.data || [])
+			.filter(row => row.variable || model.columns.some(key => row[key]))
+			.map(row => {
+				if (row.variable) current = normalizeVarName(row.variable);
+				const hit = !!variable && current === variable;
+				return `<tr${hit ? ' class="source-row"' : ''}><td>${escapeHtml(row.variable || '')}</td>${model.columns.map(key => `<td${mark(key, hit)}>${escapeHtml(row[key] || '')}</td>`).join('')}</tr>`;
+			});
+		const summaryRows = model.summary.map((row, i) => `<tr${i === 0 ? ' class="source-summary"' : ''}><td>${escapeHtml(row.metric)}</td>${model.columns.map(key => `<td${mark(key)}>${escapeHtml(row.values[key] || '')}</td>`).join('')}</tr>`);
+		tbody.innerHTML = [...dataRows, ...summaryRows].join('');
+		notes.textContent = table.notes ? msg('source.notes', { notes: table.notes }) : '';
+	}
+
+	// ---- Importer ----
+	function readFileText(file) {
+		return new Promise((resolve, reject) => {
+			const reader = new FileReader();
+			reader.onload = () => resolve(String(reader.result || ''));
+			reader.onerror = () => reject(reader.error);
+			reader.readAsText(file);
+		});
+	}
+
+	function downloadText(fileName, text, mimeType) {
+		const blob = new Blob([text], { type: mimeType || 'text/plain' });
+		const url = URL.createObjectURL(blob);
+		const a = document.createElement('a');
+		a.href = url;
+		a.download = fileName;
+		document.body.appendChild(a);
+		a.click();
+		a.remove();
+		URL.revokeObjectURL(url);
+	}
+
+	// Parses dropped stargazer/esttab files, appends their tables to the active bundle and re-renders
+	function importFiles(files) {
+		const status = document.getElementById('importStatus');
+		const list = Array.from(files || []);
+		if (!list.length || !activeBundle) return Promise.resolve();
+		return Promise.all(list.map(f => readFileText(f).then(text => ({ name: f.name, result: RegressionImport.importRegressionOutput(text, f.name) }))))
+			.then(results => {
+				const messages = [];
+				results.forEach(({ name, result }) => {
+					activeBundle.tables.push(...result.tables);
+					messages.push(msg('import.imported', { name, count: result.tables.length, format: result.format }));
+					result.warnings.forEach(w => messages.push(`⚠ ${importWarningText(w)}`));
+				});
+				indexed = indexTables(activeBundle.tables);
+				bundleIndexes.delete(activeBundle);
+				showIntegrityReport(activeBundle);
+				renderTable();
+				if (status) {
+					status.innerHTML = messages.map(m => `<div>${escapeHtml(m)}</div>`).join('');
+					status.className = 'small mt-2 text-muted';
 				}
-				if (localTbody) {
-					(t.data || []).forEach(row => {
-						const tr = document.createElement('tr');
-						const tdVar = document.createElement('td');
-						tdVar.textContent = normalizeVarName(row.variable);
-						tr.appendChild(tdVar);
-						cols.forEach(h => {
-							const td = document.createElement('td');
-							td.textContent = row[h.key] || '';
-							tr.appendChild(td);
-						});
-						localTbody.appendChild(tr);
-					});
+				const download = document.getElementById('downloadDataFile');
+				if (download) download.classList.remove('d-none');
+			})
+			.catch(err => {
+				console.error('Import failed:', err);
+				if (status) {
+					status.textContent = msg('import.failed', { error: err.message || err });
+					status.className = 'small mt-2 text-danger';
+				}
+			});
+	}
+
+	// ---- Export ----
+	// The open export panel follows the table: every re-render rebuilds its text from the new view
+	let exportFormat = null;
+
+	function formatLabel(key) {
+		return codeLabel('export.format', key, RegressionExport.FORMATS[key].label);
+	}
+
+	// Header words the export writes into the file, in the page's language
+	function exportOptions() {
+		const labels = {};
+		['variable', 'estimate', 'se', 't', 'p', 'ci', 'note'].forEach(key => { labels[key] = msg(`export.${key}`); });
+		return { labels };
+	}
+
+	function refreshExport() {
+		const panel = document.getElementById('exportPanel');
+		const output = document.getElementById('exportOutput');
+		if (!panel || !output || !exportFormat) return;
+		const format = RegressionExport.FORMATS[exportFormat];
+		const label = document.getElementById('exportFormatLabel');
+		if (label) label.textContent = formatLabel(exportFormat);
+		output.value = currentView ? format.build(currentView, exportOptions()) : '';
+	}
+
+	function openExport(formatKey) {
+		const format = RegressionExport.FORMATS[formatKey];
+		const panel = document.getElementById('exportPanel');
+		if (!format || !panel) return;
+		exportFormat = formatKey;
+		panel.classList.remove('d-none');
+		refreshExport();
+	}
+
+	function closeExport() {
+		exportFormat = null;
+		const panel = document.getElementById('exportPanel');
+		if (panel) panel.classList.add('d-none');
+	}
+
+	// Titles with no ASCII letters or digits (Japanese ones) would leave an empty name
+	function exportFileName(format) {
+		const base = currentView ? currentView.title.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') : '';
+		return `${base || 'results'}.${format.extension}`;
+	}
+
+	function copyExport() {
+		const output = document.getElementById('exportOutput');
+		if (!output) return;
+		if (navigator.clipboard && navigator.clipboard.writeText) {
+			navigator.clipboard.writeText(output.value).catch(() => { output.select(); document.execCommand('copy'); });
+		} else {
+			output.select();
+			document.execCommand('copy');
+		}
+	}
+
+	function buildExportMenu() {
+		const menu = document.getElementById('exportMenu');
+		if (!menu) return;
+		menu.innerHTML = '';
+		Object.keys(RegressionExport.FORMATS).forEach(key => {
+			const li = document.createElement('li');
+			const btn = document.createElement('button');
+			btn.type = 'button';
+			btn.className = 'dropdown-item';
+			btn.textContent = formatLabel(key);
+			btn.addEventListener('click', () => openExport(key));
+			li.appendChild(btn);
+			menu.appendChild(li);
+		});
+	}
+
+	// ---- Coefficient plot ----
+	// The plot draws the same view as the table, so every filter applies to both
+	const RESULTS_MODES = ['table', 'plot', 'curve', 'coverage'];
+	let resultsMode = 'table';
+	const plotVariables = new Set();
+
+	function showResultsMode() {
+		document.querySelectorAll('[data-results-view]').forEach(btn => {
+			btn.classList.toggle('active', btn.dataset.resultsView === resultsMode);
+		});
+		document.querySelector('#regressionTable')?.closest('.table-responsive')?.classList.toggle('d-none', resultsMode !== 'table');
+		document.getElementById('plotPanel')?.classList.toggle('d-none', resultsMode !== 'plot');
+		document.getElementById('curvePanel')?.classList.toggle('d-none', resultsMode !== 'curve');
+		document.getElementById('coveragePanel')?.classList.toggle('d-none', resultsMode !== 'coverage');
+	}
+
+	function setResultsMode(mode) {
+		resultsMode = RESULTS_MODES.includes(mode) ? mode : 'table';
+		showResultsMode();
+		renderPlot();
+		renderCurve();
+		renderCoverage();
+		writePermalink();
+	}
+
+	function renderPlot() {
+		const picker = document.getElementById('plotVariables');
+		const output = document.getElementById('plotOutput');
+		if (!picker || !output || resultsMode !== 'plot') return;
+		const rows = currentView ? currentView.rows : [];
+		// Keep the reader's picks across filter changes; start from the first variable otherwise
+		if (!rows.some(r => plotVariables.has(r.variable)) && rows.length) plotVariables.add(rows[0].variable);
+
+		picker.innerHTML = rows.map((r, i) => `
+			<div class="form-check">
+				<input class="form-check-input" type="checkbox" id="plotVar${i}" value="${escapeHtml(r.variable)}"${plotVariables.has(r.variable) ? ' checked' : ''}>
+				<label class="form-check-label" for="plotVar${i}">${escapeHtml(r.label)}</label>
+			</div>`).join('');
+		picker.querySelectorAll('input').forEach(input => {
+			input.addEventListener('change', () => {
+				if (input.checked) plotVariables.add(input.value);
+				else plotVariables.delete(input.value);
+				writePermalink();
+				renderPlot();
+			});
+		});
+
+		const chosen = rows.filter(r => plotVariables.has(r.variable));
+		const level = currentView ? formatLevel(currentView.confidenceLevel) : '';
+		const plotOptions = {
+			levelLabel: level,
+			axisLabel: msg('plot.axis', { level }),
+			noStdErrorLabel: msg('plot.noStdError'),
+			missingLabel: msg('plot.missing')
+		};
+		output.innerHTML = chosen.length
+			? chosen.map(r => `<figure class="plot-figure"><figcaption class="fw-bold mb-1">${escapeHtml(r.label)}</figcaption>${RegressionPlots.toForestSvg(currentView, r.variable, { ...plotOptions, ariaLabel: msg('plot.ariaLabel', { variable: r.label, level }) })}</figure>`).join('')
+			: `<p class="text-muted small mb-0">${escapeHtml(msg('plot.pick'))}</p>`;
+	}
+
+	// ---- Specification curve ----
+	// One focal variable across every column of every baseline table (outcome × UI measure × controls),
+	// sorted by estimate. Unlike the table it ignores the panel's selection; scaling, the star rule and
+	// the confidence level still apply.
+	const CURVE_DIMENSIONS = [
+		{ key: 'dep', label: 'curve.dep', optionLabel: dvLabel },
+		{ key: 'ui', label: 'curve.ui', optionLabel: uiLabel },
+		{ key: 'controls', label: 'curve.controls', optionLabel: controlLabel }
+	];
+	let curveVariable = '';
+
+	function curveRecords() {
+		return indexed.filter(r => r.spec === 'baseline');
+	}
+
+	function curveVariables() {
+		const names = new Set();
+		curveRecords().forEach(r => r.model.variables.forEach(v => names.add(v)));
+		return sortVariables(Array.from(names));
+	}
+
+	// The picked variable, or UI_group1 (the effect referees ask about) when nothing valid is picked
+	function focalVariable() {
+		const variables = curveVariables();
+		if (variables.includes(curveVariable)) return curveVariable;
+		return variables.includes('UI_group1') ? 'UI_group1' : variables[0] || '';
+	}
+
+	function buildSpecCurve(varName) {
+		const level = parseFloat(selection.level) || 0.95;
+		const thresholds = selectedStarThresholds();
+		const points = [];
+		curveRecords().forEach(record => {
+			const factor = rowScale(varName, [{ record }]);
+			getColumnsInTable(record.model).forEach(colKey => {
+				const modelCell = getCell(record.model, varName, colKey);
+				if (!modelCell || modelCell.estimate === null) return;
+				const cell = scaleCell(modelCell, factor);
+				const stars = cellStars(cell, thresholds);
+				const ci = confidenceInterval(cell, level);
+				const choices = { dep: record.dep, ui: record.ui || '', controls: record.columnMeta[colKey] };
+				const spec = CURVE_DIMENSIONS.map(d => d.optionLabel(choices[d.key])).filter(Boolean).join(' • ');
+				const value = cell.text.slice(0, cell.text.length - cell.stars.length) + stars;
+				points.push({
+					estimate: cell.estimate,
+					ci,
+					significant: !!stars,
+					choices,
+					title: ci ? `${spec}: ${value} [${formatNumber(ci[0], decimalsOf(cell.text))}, ${formatNumber(ci[1], decimalsOf(cell.text))}]` : `${spec}: ${value}`
+				});
+			});
+		});
+		points.sort((a, b) => a.estimate - b.estimate);
+		// Indicator rows in the panel's order; values the panel does not know follow
+		const dimensions = CURVE_DIMENSIONS.map(d => {
+			const used = new Set(points.map(p => p.choices[d.key]));
+			const known = Object.values(CONTROL_GROUPS[d.key]).filter(v => used.has(v));
+			const values = [...known, ...Array.from(used).filter(v => !known.includes(v))];
+			return { key: d.key, label: msg(d.label), options: values.map(v => ({ value: v, label: d.optionLabel(v) || v || '?' })) };
+		});
+		return { level, points, dimensions };
+	}
+
+	function renderCurve() {
+		const select = document.getElementById('curveVariable');
+		const summary = document.getElementById('curveSummary');
+		const output = document.getElementById('curveOutput');
+		if (!select || !summary || !output || resultsMode !== 'curve') return;
+		const focal = focalVariable();
+		select.innerHTML = curveVariables().map(v => `<option value="${escapeHtml(v)}">${escapeHtml(variableLabel(v))}</option>`).join('');
+		select.value = focal;
+		const curve = buildSpecCurve(focal);
+		if (!curve.points.length) {
+			summary.textContent = msg('curve.empty');
+			output.innerHTML = '';
+			return;
+		}
+		summary.textContent = msg('curve.summary', {
+			count: curve.points.length,
+			positive: curve.points.filter(p => p.estimate > 0).length,
+			significant: curve.points.filter(p => p.significant).length
+		});
+		output.innerHTML = RegressionPlots.toSpecCurveSvg(curve, { axisLabel: `${variableLabel(focal)}: ${msg('plot.axis', { level: formatLevel(curve.level) })}` });
+	}
+
+	// ---- Availability ----
+	// Which combinations the active bundle estimates, read off the indexed records: every baseline
+	// column is one outcome × UI measure × controls combination, every IV column one stage × sample.
+	// The panel disables options no table has and counts the rest against the other groups' selection;
+	// the coverage grid lays out every combination so the ones still to run stand out.
+	const AVAILABILITY_GROUPS = { baseline: ['dep', 'ui', 'controls'], iv: ['stage', 'sample'] };
+	const COVERAGE_LAYOUTS = {
+		baseline: { group: 'dep', row: 'controls', column: 'ui' },
+		iv: { group: null, row: 'stage', column: 'sample' }
+	};
+	const AVAILABILITY_LABELS = {
+		dep: dvLabel,
+		ui: uiLabel,
+		controls: controlLabel,
+		stage: v => codeLabel('ivStage', v, v),
+		sample: v => codeLabel('sample', v, v)
+	};
+
+	function availabilitySpec(state) {
+		return state.spec === 'iv' ? 'iv' : 'baseline';
+	}
+
+	function estimatedCombinations(spec) {
+		return indexed.filter(r => r.spec === spec).flatMap(record => Object.keys(record.columnMeta).map(colKey => ({
+			record,
+			colKey,
+			dep: record.dep,
+			ui: record.ui,
+			controls: record.columnMeta[colKey],
+			// Reduced forms sit under the second-stage toggle, as in buildIvColumns
+			stage: record.stage === 'first' ? 'first' : 'second',
+			sample: record.columnSample[colKey]
+		})));
+	}
+
+	function combinationKey(keys, combo) {
+		return keys.map(k => combo[k] || '').join('|');
+	}
+
+	// Every combination taking one value from each group
+	function crossProduct(keys, valuesFor) {
+		return keys.reduce((combos, key) => combos.flatMap(combo => valuesFor(key).map(v => ({ ...combo, [key]: v }))), [{}]);
+	}
+
+	// The wealth outcome is only offered with the IV specification
+	function groupValues(spec, key) {
+		return Object.values(CONTROL_GROUPS[key]).filter(v => spec === 'iv' || v !== 'wealth');
+	}
+
+	function refreshAvailability() {
+		// The panel's own annotations follow what it shows, applied or not
+		const spec = availabilitySpec(pendingSelection);
+		const keys = AVAILABILITY_GROUPS[spec];
+		const combos = estimatedCombinations(spec);
+		const estimated = new Set(combos.map(c => combinationKey(keys, c)));
+		Object.entries(CONTROL_GROUPS).forEach(([key, group]) => {
+			Object.entries(group).forEach(([id, value]) => {
+				const input = document.getElementById(id);
+				const row = input && input.closest('.form-check');
+				if (!row) return;
+				let count = 0;
+				let total = 0;
+				let never = false;
+				if (keys.includes(key)) {
+					const wanted = crossProduct(keys, k => (k === key ? [value] : pendingSelection[k]));
+					total = wanted.length;
+					count = wanted.filter(c => estimated.has(combinationKey(keys, c))).length;
+					never = !combos.some(c => c[key] === value);
+				}
+				// An option no table has cannot be ticked, but one already ticked (by a permalink, say) can be cleared
+				input.disabled = never && !input.checked;
+				row.classList.toggle('unavailable', keys.includes(key) && count === 0);
+				row.title = !keys.includes(key) ? ''
+					: never ? msg('availability.never')
+					: count === 0 ? msg('availability.none')
+					: count < total ? msg('availability.partial', { count, total }) : '';
+				let badge = row.querySelector('.availability-count');
+				if (keys.includes(key) && !never && count < total) {
+					if (!badge) {
+						badge = document.createElement('span');
+						badge.className = 'availability-count';
+						row.appendChild(badge);
+					}
+					badge.textContent = `${count}/${total}`;
+				} else if (badge) {
+					badge.remove();
+				}
+			});
+		});
+	}
+
+	// { columns, groups: [{ label, rows: [{ label, cells: [{ combo, matches, selected }] }] }], missing, total }
+	function buildCoverage(spec) {
+		const layout = COVERAGE_LAYOUTS[spec];
+		const keys = AVAILABILITY_GROUPS[spec];
+		const combos = estimatedCombinations(spec);
+		// Values the panel offers, then any the data has that it does not
+		const values = key => {
+			const known = groupValues(spec, key);
+			return [...known, ...[...new Set(combos.map(c => c[key]))].filter(v => !known.includes(v))];
+		};
+		const label = (key, v) => AVAILABILITY_LABELS[key](v) || v || '?';
+		const columns = values(layout.column).map(v => ({ value: v, label: label(layout.column, v) }));
+		const groups = (layout.group ? values(layout.group) : [null]).map(groupValue => ({
+			label: layout.group ? label(layout.group, groupValue) : '',
+			rows: values(layout.row).map(rowValue => ({
+				label: label(layout.row, rowValue),
+				cells: columns.map(col => {
+					const combo = { [layout.row]: rowValue, [layout.column]: col.value };
+					if (layout.group) combo[layout.group] = groupValue;
+					const matches = combos.filter(c => keys.every(k => c[k] === combo[k]));
+					return { combo, matches, selected: keys.every(k => selection[k].includes(combo[k])) };
+				})
+			}))
+		}));
+		const estimated = new Set(combos.map(c => combinationKey(keys, c)));
+		const all = crossProduct(keys, values);
+		const missing = all.filter(c => !estimated.has(combinationKey(keys, c))).map(c => keys.map(k => label(k, c[k])).join(' • '));
+		return { columns, groups, missing, total: all.length };
+	}
+
+	function renderCoverage() {
+		const summary = document.getElementById('coverageSummary');
+		const thead = document.getElementById('coverageHeader');
+		const tbody = document.getElementById('coverageBody');
+		const missing = document.getElementById('coverageMissing');
+		if (!summary || !thead || !tbody || !missing || resultsMode !== 'coverage') return;
+		const coverage = buildCoverage(availabilitySpec(selection));
+		summary.textContent = msg('coverage.summary', { estimated: coverage.total - coverage.missing.length, total: coverage.total });
+		thead.innerHTML = `<tr><th></th>${coverage.columns.map(col => `<th>${escapeHtml(col.label)}</th>`).join('')}</tr>`;
+		const links = [];
+		tbody.innerHTML = coverage.groups.map(group => {
+			const header = group.label ? `<tr class="row-group"><th colspan="${coverage.columns.length + 1}">${escapeHtml(group.label)}</th></tr>` : '';
+			return header + group.rows.map(row => `<tr><td>${escapeHtml(row.label)}</td>${row.cells.map(cell => {
+				const classes = [cell.matches.length ? 'coverage-estimated' : 'coverage-missing', cell.selected ? 'coverage-selected' : ''].filter(Boolean).join(' ');
+				const content = cell.matches.length
+					? cell.matches.map(m => {
+						links.push(m);
+						return `<button type="button" class="btn btn-link btn-sm p-0 d-block mx-auto coverage-link" data-match="${links.length - 1}" title="${escapeHtml(provenanceText(m))}">${escapeHtml(msg('source.alternative', { number: m.record.id, column: m.colKey }))}</button>`;
+					}).join('')
+					: `<span title="${escapeHtml(msg('source.noRecord'))}">—</span>`;
+				return `<td class="${classes}">${content}</td>`;
+			}).join('')}</tr>`).join('');
+		}).join('');
+		tbody.querySelectorAll('[data-match]').forEach(btn => {
+			const match = links[Number(btn.dataset.match)];
+			btn.addEventListener('click', () => showSourceTable(match.record, match.colKey));
+		});
+		const title = document.getElementById('coverageMissingTitle');
+		const list = document.getElementById('coverageMissingList');
+		if (title) title.textContent = coverage.missing.length ? msg('coverage.missing', { count: coverage.missing.length }) : msg('coverage.complete');
+		if (list) list.innerHTML = coverage.missing.map(text => `<li>${escapeHtml(text)}</li>`).join('');
+	}
+
+	// ---- Run comparison ----
+	// Two bundles (e.g. ?bundle=before.json,after.json) diffed coefficient by coefficient with RegressionDiff.
+	// Tables are indexed as for the table view and matched on spec, outcome, UI measure and IV stage;
+	// their columns on controls and IV sample. Stars follow the selected significance rule.
+	const bundleIndexes = new Map();
+
+	function bundleIndex(bundle) {
+		if (bundle === activeBundle) return indexed;
+		if (!bundleIndexes.has(bundle)) bundleIndexes.set(bundle, indexTables(bundle.tables));
+		return bundleIndexes.get(bundle);
+	}
+
+	function runColumns(records, thresholds) {
+		return records.flatMap(record => getColumnsInTable(record.model).map(colKey => {
+			const cells = {};
+			record.model.variables.forEach(varName => {
+				const cell = getCell(record.model, varName, colKey);
+				if (!cell) return;
+				const stars = cellStars(cell, thresholds);
+				cells[varName] = { text: cell.text.slice(0, cell.text.length - cell.stars.length) + stars, estimate: cell.estimate, stdError: cell.stdError, stars };
+			});
+			const controls = record.columnMeta[colKey];
+			const sample = record.columnSample[colKey];
+			return {
+				table: [record.spec, record.dep, record.ui || '', record.stage || ''].join('|'),
+				column: [controls || '', sample || ''].join('|'),
+				tableLabel: [dvLabel(record.dep), record.stage ? codeLabel('ivStage', record.stage, record.stage) : uiLabel(record.ui)].filter(Boolean).join(' • '),
+				label: [colKey, controlLabel(controls), sample ? codeLabel('sample', sample, sample) : ''].filter(Boolean).join(' • '),
+				obsText: getSummaryValue(record.model, isObservations, colKey),
+				cells
+			};
+		}));
+	}
+
+	// Old run defaults to the first bundle and new to the last, matching ?bundle=old.json,new.json
+	function fillDiffSelects() {
+		const oldSelect = document.getElementById('diffOld');
+		const newSelect = document.getElementById('diffNew');
+		if (!oldSelect || !newSelect) return;
+		[oldSelect, newSelect].forEach((select, i) => {
+			const previous = select.value;
+			select.innerHTML = bundles.map(b => `<option value="${escapeHtml(b.id)}">${escapeHtml(b.title || b.id)}</option>`).join('');
+			const fallback = bundles.length ? bundles[i === 0 ? 0 : bundles.length - 1].id : '';
+			select.value = bundles.some(b => b.id === previous) ? previous : fallback;
+		});
+	}
+
+	function formatCount(n) {
+		return n === null ? '—' : formatNumber(n, 0);
+	}
+
+	function diffStarsText(change) {
+		if (change > 0) return `<span class="diff-gained">${escapeHtml(msg('diff.gained', { stars: '*'.repeat(change) }))}</span>`;
+		if (change < 0) return `<span class="diff-lost">${escapeHtml(msg('diff.lost', { stars: '*'.repeat(-change) }))}</span>`;
+		return '';
+	}
+
+	function renderDiff() {
+		const summary = document.getElementById('diffSummary');
+		const wrap = document.getElementById('diffTableWrap');
+		const body = document.getElementById('diffBody');
+		if (!summary || !wrap || !body) return;
+		const oldBundle = bundles.find(b => b.id === getSelectValue('diffOld'));
+		const newBundle = bundles.find(b => b.id === getSelectValue('diffNew'));
+		wrap.classList.add('d-none');
+		body.innerHTML = '';
+		if (bundles.length < 2) {
+			summary.textContent = msg('diff.needTwo');
+			return;
+		}
+		if (!oldBundle || !newBundle || oldBundle === newBundle) {
+			summary.textContent = msg('diff.sameRun');
+			return;
+		}
+
+		const thresholds = selectedStarThresholds();
+		const diff = RegressionDiff.diffRuns(runColumns(bundleIndex(oldBundle), thresholds), runColumns(bundleIndex(newBundle), thresholds));
+		const counts = {
+			cells: diff.rows.length,
+			columns: diff.pairs.length,
+			estimates: diff.rows.filter(r => r.estimateChanged).length,
+			significance: diff.rows.filter(r => r.significanceChanged).length,
+			observations: diff.pairs.filter(p => RegressionDiff.parseCount(p.old.obsText) !== RegressionDiff.parseCount(p.new.obsText)).length
+		};
+		const unmatched = diff.onlyOld.length || diff.onlyNew.length
+			? ` ${msg('diff.unmatched', {
+				old: diff.onlyOld.map(c => `${c.tableLabel} (${c.label})`).join('; ') || '—',
+				new: diff.onlyNew.map(c => `${c.tableLabel} (${c.label})`).join('; ') || '—'
+			})}`
+			: '';
+		summary.textContent = msg('diff.summary', counts) + unmatched;
+
+		const rows = getChecked('diffSignificanceOnly') ? diff.rows.filter(r => r.significanceChanged) : diff.rows;
+		if (!rows.length) {
+			summary.textContent += ` ${msg('diff.nothing')}`;
+			return;
+		}
+		// Table and column labels only on the first row of each column pair
+		body.innerHTML = rows.map((r, i) => {
+			const first = i === 0 || rows[i - 1].new !== r.new;
+			const change = r.changeInSe === null ? '' : `${r.changeInSe > 0 ? '+' : ''}${formatNumber(r.changeInSe, 2)}`;
+			const n = r.nChanged ? `${formatCount(r.nOld)} → ${formatCount(r.nNew)}` : formatCount(r.nNew);
+			return `<tr${r.significanceChanged ? ' class="diff-significance"' : ''}>
+				<td>${first ? escapeHtml(r.new.tableLabel) : ''}</td>
+				<td>${first ? escapeHtml(r.new.label) : ''}</td>
+				<td>${escapeHtml(variableLabel(r.variable))}</td>
+				<td>${r.oldCell ? escapeHtml(r.oldCell.text) : '—'}</td>
+				<td>${r.newCell ? escapeHtml(r.newCell.text) : '—'}</td>
+				<td>${change}</td>
+				<td>${diffStarsText(r.starsChange)}</td>
+				<td>${first ? escapeHtml(n) : ''}</td>
+			</tr>`;
+		}).join('');
+		wrap.classList.remove('d-none');
+	}
+
+	// A run file is a bundle (.json) or a data file written by the importer (.js); it joins the result sets
+	function loadComparisonRun(file) {
+		const status = document.getElementById('diffStatus');
+		return readFileText(file)
+			.then(text => {
+				const json = /\.json$/i.test(file.name) ? JSON.parse(text) : RegressionImport.parseTablesDataFile(text);
+				const bundle = addBundle(normalizeBundle(json, { url: file.name.replace(/\.js$/i, '') }));
+				const newSelect = document.getElementById('diffNew');
+				if (newSelect) newSelect.value = bundle.id;
+				if (status) {
+					status.textContent = msg('diff.loaded', { name: file.name, count: bundle.tables.length });
+					status.className = 'small mb-2 text-muted';
 				}
+				renderDiff();
+			})
+			.catch(err => {
+				console.error('Comparison run failed to load:', err);
+				if (status) {
+					status.textContent = msg('diff.loadFailed', { name: file.name, error: err.message || err });
+					status.className = 'small mb-2 text-danger';
+				}
+			});
+	}
+
+	// ---- Permalink ----
+	// The whole dashboard state lives in the URL hash, e.g.
+	//   #spec=baseline&dep=6m_log&ui=median_ui&controls=age2_control&...&view=table
+	// Every render writes it (a new history entry per change, so back/forward step through views)
+	// and loading or navigating to a hash restores it.
+	const SCALE_PREFIX = 'scale.';
+
+	// The first write after loading or restoring replaces the current entry instead of adding one
+	let replaceNextPermalink = true;
+
+	function serializeState() {
+		const parts = [];
+		const add = (key, value) => parts.push(`${encodeURIComponent(key)}=${value}`);
+		Object.keys(CONTROL_SELECTS).forEach(key => add(key, encodeURIComponent(selection[key])));
+		Object.keys(CONTROL_GROUPS).forEach(key => add(key, selection[key].join(',')));
+		if (selection.stars === 'custom') add('thresholds', encodeURIComponent(selection.thresholds));
+		Object.entries(selection.scales).forEach(([varName, factor]) => add(SCALE_PREFIX + varName, factor));
+		if (bundles.length > 1 && activeBundle) add('set', encodeURIComponent(activeBundle.id));
+		add('view', resultsMode);
+		if (resultsMode === 'plot') add('plot', Array.from(plotVariables).map(encodeURIComponent).join(','));
+		if (resultsMode === 'curve') add('focal', encodeURIComponent(focalVariable()));
+		return parts.join('&');
+	}
+
+	// "#a=1&b=x,y" -> { a: '1', b: 'x,y' }, or null for an empty hash
+	function parseHash(hash) {
+		const text = String(hash || '').replace(/^#/, '');
+		if (!text) return null;
+		const state = {};
+		text.split('&').forEach(part => {
+			const eq = part.indexOf('=');
+			if (eq < 0) return;
+			try {
+				state[decodeURIComponent(part.slice(0, eq))] = part.slice(eq + 1);
+			} catch (e) {
+				console.warn(`Ignoring malformed permalink part "${part}"`);
 			}
+		});
+		return state;
+	}
+
+	// A malformed escape (e.g. a truncated %E0%A4%A) decodes to null instead of throwing
+	function decodeValue(text) {
+		try {
+			return decodeURIComponent(text);
+		} catch (e) {
+			console.warn(`Ignoring malformed permalink value "${text}"`);
+			return null;
+		}
+	}
+
+	function decodeList(value) {
+		return String(value || '').split(',').filter(Boolean).map(decodeValue).filter(v => v !== null);
+	}
+
+	function writePermalink() {
+		const hash = `#${serializeState()}`;
+		const replace = replaceNextPermalink || !location.hash;
+		replaceNextPermalink = false;
+		if (hash === location.hash) return;
+		history[replace ? 'replaceState' : 'pushState'](null, '', `${location.pathname}${location.search}${hash}`);
+	}
+
+	// Sets the selection controls except mainSpec from a parsed hash; groups missing from the hash keep their state
+	function applyStateToControls(state) {
+		Object.entries(CONTROL_GROUPS).forEach(([key, group]) => {
+			if (!(key in state)) return;
+			const wanted = decodeList(state[key]);
+			Object.entries(group).forEach(([id, value]) => {
+				const el = document.getElementById(id);
+				if (el) el.checked = wanted.includes(value);
+			});
+		});
+		Object.entries(CONTROL_SELECTS).forEach(([key, id]) => {
+			const el = document.getElementById(id);
+			if (key === 'spec' || !el || !(key in state)) return;
+			const value = decodeValue(state[key]);
+			if (Array.from(el.options).some(o => o.value === value)) el.value = value;
+		});
+		const custom = document.getElementById('starThresholdsCustom');
+		if (custom) {
+			const thresholds = 'thresholds' in state ? decodeValue(state.thresholds) : null;
+			if (thresholds !== null) custom.value = thresholds;
+			custom.classList.toggle('d-none', getSelectValue('starRule') !== 'custom');
+		}
+	}
+
+	// Scales, result set, results view, plotted and focal variables: the parts of a permalink the panel
+	// checkboxes and selects do not hold. Scales go into the pending selection and apply with the rest.
+	function applyViewState(state) {
+		pendingSelection.scales = {};
+		Object.keys(state).filter(key => key.startsWith(SCALE_PREFIX)).forEach(key => {
+			const factor = Number(state[key]);
+			if (factor > 0) pendingSelection.scales[key.slice(SCALE_PREFIX.length)] = factor;
+		});
+		const set = state.set ? decodeValue(state.set) : null;
+		if (set !== null && bundles.some(b => b.id === set) && set !== activeBundle?.id) {
+			activateBundle(set);
+			const resultSet = document.getElementById('resultSet');
+			if (resultSet) resultSet.value = activeBundle.id;
+		}
+		plotVariables.clear();
+		decodeList(state.plot).forEach(v => plotVariables.add(v));
+		curveVariable = (state.focal && decodeValue(state.focal)) || '';
+		resultsMode = RESULTS_MODES.includes(state.view) ? state.view : 'table';
+		showResultsMode();
+	}
+
+	// ---- Presets ----
+	// Declared presets come from the active bundle's "presets" or UI_Regression_Results_presets.js;
+	// presets saved from the page live in localStorage. See that file for the preset shape.
+	const PRESET_STORAGE_KEY = 'uiRegressionResults.presets';
+	const PRESET_SELECTS = ['spec'];
+
+	function loadSavedPresets() {
+		try {
+			const saved = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY) || '[]');
+			return Array.isArray(saved) ? saved : [];
+		} catch (e) {
+			console.warn('Ignoring unreadable saved presets:', e);
+			return [];
+		}
+	}
+
+	function storeSavedPresets(presets) {
+		try {
+			localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+		} catch (e) {
+			console.warn('Could not save presets:', e);
+		}
+	}
+
+	function declaredPresets() {
+		if (activeBundle && Array.isArray(activeBundle.presets)) return activeBundle.presets;
+		return typeof dashboardPresets !== 'undefined' && Array.isArray(dashboardPresets) ? dashboardPresets : [];
+	}
+
+	function availablePresets() {
+		return [...declaredPresets(), ...loadSavedPresets().map(p => ({ ...p, saved: true }))];
+	}
+
+	// A preset as a parsed permalink hash, so it is applied by the same code as a URL
+	function presetToState(preset) {
+		const state = {};
+		PRESET_SELECTS.forEach(key => { if (preset[key] !== undefined) state[key] = encodeURIComponent(preset[key]); });
+		Object.keys(CONTROL_GROUPS).forEach(key => {
+			if (Array.isArray(preset[key])) state[key] = preset[key].map(encodeURIComponent).join(',');
+		});
+		return state;
+	}
+
+	function presetMatches(preset, state) {
+		if (PRESET_SELECTS.some(key => preset[key] !== undefined && decodeValue(state[key] || '') !== String(preset[key]))) return false;
+		return Object.keys(CONTROL_GROUPS).every(key => {
+			if (!Array.isArray(preset[key])) return true;
+			const current = decodeList(state[key]);
+			return current.length === preset[key].length && preset[key].every(v => current.includes(v));
+		});
+	}
+
+	// The current selection as a preset: the spec plus the groups that spec uses
+	function currentSelectionPreset(label) {
+		const state = parseHash(`#${serializeState()}`);
+		const spec = decodeValue(state.spec);
+		const preset = { id: `saved-${Date.now()}`, label, spec };
+		(spec === 'iv' ? ['stage', 'sample'] : ['dep', 'ui', 'controls']).forEach(key => { preset[key] = decodeList(state[key]); });
+		return preset;
+	}
+
+	// Rebuilds the dropdown and selects whichever preset matches the applied selection, or "Custom selection"
+	function refreshPresetControls() {
+		const select = document.getElementById('presetSelect');
+		if (!select) return;
+		const presets = availablePresets();
+		const state = parseHash(`#${serializeState()}`);
+		const match = presets.find(p => presetMatches(p, state));
+		const option = p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.label || p.id)}</option>`;
+		const declared = presets.filter(p => !p.saved);
+		const saved = presets.filter(p => p.saved);
+		select.innerHTML = `<option value="">${escapeHtml(msg('preset.custom'))}</option>`
+			+ declared.map(option).join('')
+			+ (saved.length ? `<optgroup label="${escapeHtml(msg('preset.saved'))}">${saved.map(option).join('')}</optgroup>` : '');
+		select.value = match ? match.id : '';
+		select.classList.toggle('preset-active', !!match);
+		document.getElementById('presetDelete')?.classList.toggle('d-none', !(match && match.saved));
+	}
+
+	// Static page text tagged with data-i18n / data-i18n-title
+	function translatePage() {
+		document.documentElement.lang = language;
+		document.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = msg(el.dataset.i18n); });
+		document.querySelectorAll('[data-i18n-title]').forEach(el => {
+			const text = msg(el.dataset.i18nTitle);
+			if (el.hasAttribute('title')) el.title = text;
+			if (el.hasAttribute('aria-label')) el.setAttribute('aria-label', text);
+		});
+		const select = document.getElementById('languageSelect');
+		if (select) select.value = language;
+		showBundleTitle();
+	}
+
+	function setLanguage(lang) {
+		if (!RegressionI18n.LANGUAGES[lang]) return;
+		language = lang;
+		try {
+			localStorage.setItem(LANGUAGE_STORAGE_KEY, lang);
+		} catch (e) {
+			console.warn('Could not remember the language choice:', e);
 		}
+		translatePage();
+		buildExportMenu();
+		showIntegrityReport(activeBundle);
+		renderTable();
 	}
 
 	// ---- Temporary list ----
 	function listAllAvailableTables() { /* removed temporary listing */ }
 
-	function countTotalTables() { return Array.isArray(tablesData) ? tablesData.length : 0; }
+	function countTotalTables() { return activeBundle ? activeBundle.tables.length : 0; }
 
 	// Wire update button
 	document.addEventListener('DOMContentLoaded', function() {
+		// Applies what the panel shows, even if a control was set without a change event
 		const btn = document.getElementById('updateTable');
-		if (btn) btn.addEventListener('click', renderTable);
+		if (btn) btn.addEventListener('click', () => { readSelection(); applyPendingSelection(); });
+
+		translatePage();
+		const languageSelect = document.getElementById('languageSelect');
+		if (languageSelect) languageSelect.addEventListener('change', () => setLanguage(languageSelect.value));
 
 		// Ensure at least one checkbox per group
 		function ensureGroupHasOne(ids, fallbackId) {
@@ -689,7 +2022,7 @@
 			const wealthRow = document.getElementById('depVarWealth')?.closest('.form-check');
 			if (wealthRow) wealthRow.style.display = isIv ? '' : 'none';
 			// Baseline groups containers
-			const dvBlock = document.getElementById('documentBenchmark')?.closest('.mb-3');
+			const dvBlock = document.getElementById('depVar3m')?.closest('.mb-3');
 			const uiBlock = document.getElementById('uiSizeAvgLinear')?.closest('.mb-3');
 			const ctrlBlock = document.getElementById('colExcludeAge')?.closest('.mb-3');
 			if (isIv) {
@@ -697,18 +2030,15 @@
 				if (dvBlock) dvBlock.classList.add('d-none');
 				if (uiBlock) uiBlock.classList.add('d-none');
 				if (ctrlBlock) ctrlBlock.classList.add('d-none');
-				// Default IV toggles: second stage + full data
+				// Default IV toggles: second stage paired with its first stage, full data
 				const ivFirst = document.getElementById('ivStageFirst');
 				const ivSecond = document.getElementById('ivStageSecond');
 				const ivWhole = document.getElementById('ivSubsetWhole');
 				const ivLottery = document.getElementById('ivSubsetLottery');
-				if (ivFirst) ivFirst.checked = false;
+				if (ivFirst) ivFirst.checked = true;
 				if (ivSecond) ivSecond.checked = true;
 				if (ivWhole) ivWhole.checked = true;
 				if (ivLottery) ivLottery.checked = false;
-				// Uncheck Document Benchmark to avoid confusion
-				const doc = document.getElementById('documentBenchmark');
-				if (doc) doc.checked = false;
 			} else {
 				// Show baseline blocks when not IV
 				if (dvBlock) dvBlock.classList.remove('d-none');
@@ -719,47 +2049,176 @@
 				if (wealth) wealth.checked = false;
 			}
 		}
-		const mainSpecEl = document.getElementById('mainSpec');
-		if (mainSpecEl) mainSpecEl.addEventListener('change', () => { updateIvPanelVisibility(); renderTable(); });
+		document.getElementById('mainSpec')?.addEventListener('change', updateIvPanelVisibility);
+		const scaleVariable = document.getElementById('scaleVariable');
+		const scaleFactor = document.getElementById('scaleFactor');
+		if (scaleVariable && scaleFactor) {
+			scaleVariable.addEventListener('change', () => { scaleFactor.value = String(pendingSelection.scales[scaleVariable.value] || ''); });
+			scaleFactor.addEventListener('change', () => {
+				if (!scaleVariable.value) return;
+				const scales = { ...pendingSelection.scales };
+				if (scaleFactor.value) scales[scaleVariable.value] = Number(scaleFactor.value);
+				else delete scales[scaleVariable.value];
+				pendingSelection.scales = scales;
+				selectionChanged();
+			});
+		}
+		const starRule = document.getElementById('starRule');
+		if (starRule) {
+			starRule.addEventListener('change', () => {
+				document.getElementById('starThresholdsCustom')?.classList.toggle('d-none', starRule.value !== 'custom');
+			});
+		}
 		updateIvPanelVisibility();
 
 		ensureGroupHasOne(depIds, 'depVar3m');
 		ensureGroupHasOne(uiIds, 'uiSizeAvgLinear');
 		ensureGroupHasOne(ctrlIds, 'colIncludeAge');
+		readSelection();
+
+		// Sets the selection controls from a parsed hash or preset
+		function applySelection(state) {
+			const mainSpec = document.getElementById('mainSpec');
+			const spec = decodeValue(state.spec || '');
+			if (mainSpec && Array.from(mainSpec.options).some(o => o.value === spec)) mainSpec.value = spec;
+			// Switching spec resets the IV toggles, so it goes first
+			updateIvPanelVisibility();
+			applyStateToControls(state);
+			ensureGroupHasOne(depIds, 'depVar3m');
+			ensureGroupHasOne(uiIds, 'uiSizeAvgLinear');
+			ensureGroupHasOne(ctrlIds, 'colIncludeAge');
+			ensureGroupHasOne(['ivStageFirst', 'ivStageSecond'], 'ivStageSecond');
+			ensureGroupHasOne(['ivSubsetWhole', 'ivSubsetLotteryScp', 'ivSubsetLotteryOnly'], 'ivSubsetWhole');
+			readSelection();
+		}
 
-		// Document Benchmark preset
-		function applyDocumentBenchmark() {
-			// DVs: only 3m
-			depIds.forEach(id => { const el = document.getElementById(id); if (el) el.checked = (id === 'depVar3m'); });
-			// UI: only Average Monthly UI (Linear)
-			uiIds.forEach(id => { const el = document.getElementById(id); if (el) el.checked = (id === 'uiSizeAvgLinear'); });
-			// Controls: only Include Age
-			ctrlIds.forEach(id => { const el = document.getElementById(id); if (el) el.checked = (id === 'colIncludeAge'); });
-			renderTable();
-		}
-
-		const docBench = document.getElementById('documentBenchmark');
-		if (docBench) {
-			docBench.addEventListener('click', function() { applyDocumentBenchmark(); });
-			// Auto-uncheck when selection deviates from benchmark
-			function syncDocBenchState() {
-				const is3m = document.getElementById('depVar3m')?.checked;
-				const noneOtherDv = ['depVar3mLog','depVar6m','depVar6mLog','depVarWealth'].every(id => !document.getElementById(id)?.checked);
-				const uiLinear = document.getElementById('uiSizeAvgLinear')?.checked;
-				const noOtherUi = ['uiSizeAvgLog','uiSizeMedian','uiSizeMedianLog'].every(id => !document.getElementById(id)?.checked);
-				const includeAge = document.getElementById('colIncludeAge')?.checked;
-				const noOtherCtrl = ['colExcludeAge','colAgeInteraction','colAge2Control','colAge2Interaction'].every(id => !document.getElementById(id)?.checked);
-				const isBenchmark = !!(is3m && noneOtherDv && uiLinear && noOtherUi && includeAge && noOtherCtrl);
-				docBench.checked = isBenchmark;
-			}
-			[...depIds, ...uiIds, ...ctrlIds].forEach(id => {
-				const el = document.getElementById(id);
-				if (el) el.addEventListener('change', syncDocBenchState);
+		// Restore the controls from a permalink hash; false when the URL carries none
+		function restorePermalink() {
+			const state = parseHash(location.hash);
+			if (!state) return false;
+			applySelection(state);
+			applyViewState(state);
+			replaceNextPermalink = true;
+			return true;
+		}
+		window.addEventListener('popstate', () => {
+			if (restorePermalink()) applyPendingSelection();
+		});
+
+		// Presets: apply from the dropdown, keep the highlight in step with the checkboxes, save and delete
+		const presetSelect = document.getElementById('presetSelect');
+		if (presetSelect) {
+			presetSelect.addEventListener('change', () => {
+				const preset = availablePresets().find(p => p.id === presetSelect.value);
+				if (!preset) return;
+				applySelection(presetToState(preset));
+				applyPendingSelection();
 			});
 		}
-		// Initial render and list
-		listAllAvailableTables();
-		renderTable();
+		// Every selection control feeds the store; registered after the guards above so they have run
+		[...Object.values(CONTROL_GROUPS).flatMap(Object.keys), ...Object.values(CONTROL_SELECTS), 'starThresholdsCustom'].forEach(id => {
+			document.getElementById(id)?.addEventListener('change', selectionChanged);
+		});
+		const manualToggle = document.getElementById('manualApply');
+		if (manualToggle) {
+			manualToggle.checked = manualApply;
+			manualToggle.addEventListener('change', () => setManualApply(manualToggle.checked));
+		}
+		showPendingChanges();
+		document.getElementById('presetSave')?.addEventListener('click', () => {
+			const label = (window.prompt(msg('preset.prompt')) || '').trim();
+			if (!label) return;
+			storeSavedPresets([...loadSavedPresets(), currentSelectionPreset(label)]);
+			refreshPresetControls();
+		});
+		document.getElementById('presetDelete')?.addEventListener('click', () => {
+			const id = getSelectValue('presetSelect');
+			storeSavedPresets(loadSavedPresets().filter(p => p.id !== id));
+			refreshPresetControls();
+		});
+
+		// Drag-and-drop importer for stargazer/esttab output
+		const dropZone = document.getElementById('importDropZone');
+		const fileInput = document.getElementById('importFileInput');
+		if (dropZone) {
+			dropZone.addEventListener('dragover', e => { e.preventDefault(); dropZone.classList.add('dragover'); });
+			dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+			dropZone.addEventListener('drop', e => {
+				e.preventDefault();
+				dropZone.classList.remove('dragover');
+				importFiles(e.dataTransfer && e.dataTransfer.files);
+			});
+		}
+		if (fileInput) {
+			fileInput.addEventListener('change', () => {
+				importFiles(fileInput.files).then(() => { fileInput.value = ''; });
+			});
+		}
+		const downloadBtn = document.getElementById('downloadDataFile');
+		if (downloadBtn) {
+			downloadBtn.addEventListener('click', () => {
+				if (activeBundle) downloadText('UI_Regression_Results_data.js', RegressionImport.serializeTablesData(activeBundle.tables), 'text/javascript');
+			});
+		}
+
+		// Run comparison
+		['diffOld', 'diffNew', 'diffSignificanceOnly'].forEach(id => {
+			document.getElementById(id)?.addEventListener('change', renderDiff);
+		});
+		const diffFileInput = document.getElementById('diffFileInput');
+		if (diffFileInput) {
+			diffFileInput.addEventListener('change', () => {
+				if (diffFileInput.files[0]) loadComparisonRun(diffFileInput.files[0]);
+				diffFileInput.value = '';
+			});
+		}
+
+		document.getElementById('sourceClose')?.addEventListener('click', closeSourceTable);
+
+		// Export panel
+		buildExportMenu();
+		const exportCopy = document.getElementById('exportCopy');
+		const exportDownload = document.getElementById('exportDownload');
+		const exportClose = document.getElementById('exportClose');
+		if (exportCopy) exportCopy.addEventListener('click', copyExport);
+		if (exportClose) exportClose.addEventListener('click', closeExport);
+		if (exportDownload) {
+			exportDownload.addEventListener('click', () => {
+				const format = RegressionExport.FORMATS[exportFormat];
+				const output = document.getElementById('exportOutput');
+				if (format && output) downloadText(exportFileName(format), (format.bom ? '\uFEFF' : '') + output.value, format.mimeType);
+			});
+		}
+
+		// Table / coefficient plot switch
+		const curveSelect = document.getElementById('curveVariable');
+		if (curveSelect) {
+			curveSelect.addEventListener('change', () => {
+				curveVariable = curveSelect.value;
+				renderCurve();
+				writePermalink();
+			});
+		}
+		document.querySelectorAll('[data-results-view]').forEach(btn => {
+			btn.addEventListener('click', () => setResultsMode(btn.dataset.resultsView));
+		});
+
+		const resultSet = document.getElementById('resultSet');
+		if (resultSet) resultSet.addEventListener('change', () => { activateBundle(resultSet.value); renderTable(); });
+
+		// Initial render and list, once the result bundles are in
+		loadBundles()
+			.then(({ bundles: loaded, errors }) => {
+				showLoadErrors(errors);
+				setBundles(loaded);
+				listAllAvailableTables();
+				restorePermalink();
+				applyPendingSelection();
+			})
+			.catch(err => {
+				console.error('Loading result bundles failed:', err);
+				showLoadErrors([err.message || String(err)]);
+			});
 		// Expose helpers used by inline script if needed
 		window.listAllAvailableTables = listAllAvailableTables;
 		window.countTotalTables = countTotalTables;
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+// import_regression_tables.js
+// Regenerates UI_Regression_Results_data.js from stargazer text/LaTeX or esttab CSV files.
+//
+//   node tools/import_regression_tables.js [--append] [--out <data file>] [--title <text>] <file> [<file> ...]
+//
+// Tables are written in the order given. --append keeps the tables already in the data file
+// (including their declared meta) and adds the imported ones after them. An --out path ending
+// in .json writes a result bundle for the dashboard's ?bundle= parameter instead; --title names it.
+
+const fs = require('fs');
+const path = require('path');
+const { importRegressionOutput } = require('../UI_Regression_Results_import.js');
+const { DEFAULT_DATA_FILE, readTablesData, writeTablesData } = require('./tables_data_file.js');
+
+function parseArgs(argv) {
+	const opts = { append: false, out: DEFAULT_DATA_FILE, title: '', files: [] };
+	for (let i = 0; i < argv.length; i++) {
+		if (argv[i] === '--append') opts.append = true;
+		else if (argv[i] === '--out') opts.out = path.resolve(argv[++i]);
+		else if (argv[i] === '--title') opts.title = argv[++i];
+		else opts.files.push(argv[i]);
+	}
+	return opts;
+}
+
+function main() {
+	const opts = parseArgs(process.argv.slice(2));
+	if (!opts.files.length) {
+		console.error('Usage: node tools/import_regression_tables.js [--append] [--out <data file>] [--title <text>] <file> [<file> ...]');
+		process.exit(2);
+	}
+
+	const tables = opts.append && fs.existsSync(opts.out) ? readTablesData(opts.out) : [];
+	const existing = tables.length;
+	let warningCount = 0;
+	opts.files.forEach(file => {
+		const result = importRegressionOutput(fs.readFileSync(file, 'utf8'), path.basename(file));
+		result.warnings.forEach(w => { console.warn(`warning: ${w.message}`); warningCount++; });
+		console.log(`${file}: ${result.tables.length} table(s) from ${result.format} output`);
+		tables.push(...result.tables);
+	});
+
+	writeTablesData(opts.out, tables, opts.title ? { title: opts.title } : null);
+	console.log(`Wrote ${tables.length} table(s) to ${opts.out} (${tables.length - existing} imported, ${warningCount} warning(s))`);
+}
+
+main();
@@ -0,0 +1,55 @@
+// tables_data_file.js
+// Reads and writes UI_Regression_Results_data.js, which is a browser script defining `const tablesData`,
+// and JSON result bundles ({ id, title, description, tables }) that the dashboard loads with ?bundle=
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { serializeTablesData } = require('../UI_Regression_Results_import.js');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', 'UI_Regression_Results_data.js');
+
+function isBundleFile(file) {
+	return /\.json$/i.test(file);
+}
+
+function readTablesData(file) {
+	const source = fs.readFileSync(file, 'utf8');
+	if (isBundleFile(file)) {
+		const json = JSON.parse(source);
+		const tables = Array.isArray(json) ? json : json.tables;
+		if (!Array.isArray(tables)) throw new Error(`${file} has no tables array`);
+		return tables;
+	}
+	// The data file declares globals with const, so evaluate it and hand back the binding explicitly
+	const tables = vm.runInNewContext(`${source}\n;tablesData`, {}, { filename: file });
+	if (!Array.isArray(tables)) throw new Error(`${file} does not define a tablesData array`);
+	return tables;
+}
+
+// The committed data file has CRLF line endings; a rewrite keeps whatever the existing file uses
+// so that its diff only shows the tables that changed
+function lineEndingOf(file) {
+	if (!fs.existsSync(file)) return '\n';
+	return /\r\n/.test(fs.readFileSync(file, 'utf8')) ? '\r\n' : '\n';
+}
+
+function dataFileText(tables, lineEnding) {
+	return serializeTablesData(tables).replace(/\n/g, lineEnding);
+}
+
+// info adds id/title/description to a JSON bundle; the .js data file has no place for them
+function writeTablesData(file, tables, info) {
+	if (isBundleFile(file)) {
+		fs.writeFileSync(file, `${JSON.stringify({ ...(info || {}), tables }, null, 2)}\n`);
+		return;
+	}
+	fs.writeFileSync(file, dataFileText(tables, lineEndingOf(file)));
+}
+
+// Whether writing a data file's own tables back reproduces it byte for byte
+function roundTrips(file) {
+	return dataFileText(readTablesData(file), lineEndingOf(file)) === fs.readFileSync(file, 'utf8');
+}
+
+module.exports = { DEFAULT_DATA_FILE, isBundleFile, readTablesData, writeTablesData, roundTrips };
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+// validate_tables.js
+// Reports structural problems in tablesData by table number and variable name.
+//
+//   node tools/validate_tables.js [<data file or bundle.json> ...]
+//
+// Defaults to UI_Regression_Results_data.js. A .js data file must also come back byte for byte when
+// import_regression_tables.js writes its tables again. Exits with status 1 when any problem is found.
+
+const { validateTablesData, formatProblem } = require('../UI_Regression_Results_model.js');
+const { DEFAULT_DATA_FILE, isBundleFile, readTablesData, roundTrips } = require('./tables_data_file.js');
+
+function main() {
+	const files = process.argv.slice(2);
+	let total = 0;
+	(files.length ? files : [DEFAULT_DATA_FILE]).forEach(file => {
+		const tables = readTablesData(file);
+		const problems = validateTablesData(tables);
+		problems.forEach(p => console.log(`${file}: ${formatProblem(p)}`));
+		let count = problems.length;
+		if (!isBundleFile(file) && !roundTrips(file)) {
+			console.log(`${file}: writing the tables back would change the file (line endings or layout)`);
+			count++;
+		}
+		console.log(`${file}: ${tables.length} table(s), ${count} problem(s)`);
+		total += count;
+	});
+	process.exit(total > 0 ? 1 : 0);
+}
+
+main();